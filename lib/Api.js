@@ -202,14 +202,16 @@ class Api {
      *   project structure and configuration, that should be applied to platform
      *   (contains project's www location and ConfigParser instance for project's
      *   config).
+     * @param {Object} [prepareOptions] The options of the CLI command, whose
+     *   options property holds the platform options, such as release.
      *
      * @return  {Promise}  Return a promise either fulfilled, or rejected with
      *   CordovaError instance.
      */
-    prepare (cordovaProject) {
+    prepare (cordovaProject, prepareOptions) {
         cordovaProject.projectConfig = new ConfigParser(cordovaProject.locations.rootConfigXml || cordovaProject.projectConfig.path);
 
-        return require('./prepare').prepare.call(this, cordovaProject);
+        return require('./prepare').prepare.call(this, cordovaProject, prepareOptions);
     }
 
     /**
@@ -546,19 +548,74 @@ class Api {
      *   intended to run on emulator
      * @param   {String}  buildOptions.target  Specifies the device id that will be
      *   used to run built application.
+     * @param   {String}  buildOptions.scheme  The workspace scheme to build,
+     *   "App" by default. It must be a shared scheme of App.xcworkspace or
+     *   App.xcodeproj.
+     * @param   {String}  buildOptions.xcodeTarget  The native target that
+     *   produces the app, used to locate the build output. Defaults to the app
+     *   target built by the scheme.
      * @param   {Boolean}  buildOptions.nobuild  Indicates that this should be a
      *   dry-run call, so no build artifacts will be produced.
+     * @param   {Boolean}  buildOptions.dryRun  Indicates that nothing should be
+     *   written or built. The returned promise is fulfilled with the build plan:
+     *   the xcodebuild arguments, the build-extras.xcconfig contents and the
+     *   exportOptions.plist object that would have been used.
+     * @param   {Boolean}  buildOptions.forceBuild  Builds even if the www
+     *   folder, the App sources, the Xcode project, Podfile.lock,
+     *   Package.resolved and the build options did not change since the last
+     *   successful build. Otherwise such a build is skipped and the previous
+     *   build result is returned, with `upToDate` set to true.
+     * @param   {Boolean}  buildOptions.structuredOutput  Captures the xcodebuild
+     *   output instead of printing it, and emits each compiler, linker and code
+     *   signing error or warning as an "xcodebuild-diagnostic" event. A failed
+     *   build is rejected with a CordovaError that has a `summary` property.
+     * @param   {String|Object}  buildOptions.provisioningProfile  UUID or name
+     *   of the provisioning profile to sign the app with, or an object that maps
+     *   bundle identifiers to profiles. A map is applied to every target of the
+     *   Xcode project with a matching PRODUCT_BUNDLE_IDENTIFIER, so app
+     *   extensions are signed with their own profile.
+     * @param   {String}  buildOptions.packageType  The export method, such as
+     *   app-store-connect, release-testing, debugging or enterprise. The legacy
+     *   names app-store, ad-hoc and development are accepted as well, and are
+     *   mapped to the names that the installed Xcode version understands.
+     *   Mac Catalyst builds (target "mac") are archived and exported for the
+     *   developer-id and mac-application methods, which produce an .app, and
+     *   for app-store-connect, which produces a .pkg and requires the App
+     *   Sandbox entitlement.
+     * @param   {Object}  buildOptions.exportOptions  Additional exportOptions.plist
+     *   keys for the archive export, such as uploadSymbols, thinning or
+     *   manageAppVersionAndBuildNumber. Unknown keys and values of the wrong
+     *   type are rejected. The dedicated build options take precedence.
+     * @param   {String|String[]}  buildOptions.provisioningProfilePath  Folders
+     *   or .mobileprovision files to look up the provisioningProfile in, instead
+     *   of the folders where Xcode installs profiles. The profile is checked
+     *   against the bundle identifier, team, entitlements and signing
+     *   certificate before building.
+     * @param   {Boolean}  buildOptions.exportSymbols  Zips the dSYMs of the
+     *   archive next to the exported IPA, as <ProductName>.dSYMs.zip.
+     * @param   {Boolean}  buildOptions.includeBCSymbolMaps  Adds the
+     *   BCSymbolMaps of the archive to the symbols zip.
+     * @param   {Boolean}  buildOptions.packageSimulatorApp  Zips the .app of a
+     *   simulator build as <ProductName>.app.zip, keeping symlinks and file
+     *   permissions, for upload to device farms or review tools.
      * @param   {String[]}  buildOptions.archs  Specifies chip architectures which
      *   app packages should be built for. List of valid architectures is depends on
      *   platform.
      * @param   {String}  buildOptions.buildConfig  The path to build configuration
-     *   file. The format of this file is depends on platform.
+     *   file. The format of this file is depends on platform. String values may
+     *   reference environment variables as `${env:NAME}`.
+     * @param   {String}  buildOptions.buildProfile  Name of the profile in the
+     *   "ios" section of the build configuration file to use instead of
+     *   "debug"/"release". Profiles can inherit from another profile with
+     *   "extends" and select the Xcode configuration with "configuration".
      * @param   {String[]} buildOptions.argv Raw array of command-line arguments,
      *   passed to `build` command. The purpose of this property is to pass a
      *   platform-specific arguments, and eventually let platform define own
      *   arguments processing logic.
      *
-     * @return  {Promise}  Return a promise either fulfilled, or rejected with
+     * @return  {Promise<Object>}  Return a promise either fulfilled with the
+     *   build result, which is also written to build/cordova-build-result.json
+     *   (or with the build plan for dry-run builds), or rejected with
      *   CordovaError instance.
      */
     build (buildOptions) {
@@ -574,9 +631,27 @@ class Api {
      *
      * @param   {Object}  runOptions  An options object. The structure is the same
      *   as for build options.
+     * @param   {String}  [runOptions.target]  For simulators, a simulator UDID,
+     *   a device name such as "iPhone 15" or a device type such as
+     *   "iPhone-15, 17.0". Booted simulators are preferred, also when no target
+     *   is given.
+     * @param   {Boolean}  [runOptions.createSimulator]  Creates a new simulator
+     *   of the target device type to run on. The simulator created by a
+     *   previous run is erased and reused.
+     * @param   {String[]}  [runOptions.launchArg]  Arguments passed to the app
+     *   when it is launched on a simulator or device. On devices, arguments
+     *   can't contain whitespace.
+     * @param   {String[]}  [runOptions.launchEnv]  Environment variables of the
+     *   launched app, in the form KEY=VALUE. On devices, values can't contain
+     *   whitespace.
+     * @param   {Boolean}  [runOptions.watchLogs]  Streams the logs of the app
+     *   on the simulator until stopped with Ctrl+C, instead of exiting once the
+     *   app is launched.
      *
-     * @return {Promise} A promise either fulfilled if package was built and ran
-     *   successfully, or rejected with CordovaError.
+     * @return {Promise<Object>} A promise either fulfilled if package was built
+     *   and ran successfully, or rejected with CordovaError. On a simulator,
+     *   it is fulfilled with the deviceId, appIdentifier, pid and logPath of
+     *   the launched app.
      */
     run (runOptions) {
         return check_reqs.run()
@@ -588,9 +663,41 @@ class Api {
             .then(() => require('./run').runListDevices.call(this, options));
     }
 
+    /**
+     * Commands to control simulators. Each command takes the target first,
+     *   which is resolved the same way as for running on a simulator: a
+     *   simulator UDID, a device name or a device type, preferring a booted
+     *   simulator when no target is given.
+     *
+     *   - boot(target), shutdown(target) and erase(target) resolve with the
+     *     device.
+     *   - screenshot(target, filePath) resolves with the path of the image.
+     *   - recordVideo(target, filePath) resolves once the recording has
+     *     started, with a stop() method that resolves once the video is saved.
+     *   - openUrl(target, url) opens a URL, e.g. a deep link.
+     *   - push(target, payload, [appIdentifier]) sends a push notification to
+     *     the app.
+     *
+     * @type {Object<String, Function>} Functions returning a promise either
+     *   fulfilled, or rejected with CordovaError.
+     */
+    get simulator () {
+        const simulator = require('./simulator');
+
+        return Object.fromEntries(Object.keys(simulator).map(name => [
+            name,
+            (...args) => check_reqs.run()
+                .then(() => simulator[name].apply(this, args))
+        ]));
+    }
+
     /**
      * Cleans out the build artifacts from platform's directory.
      *
+     * @param   {Object}  [cleanOptions]  An options object.
+     * @param   {Boolean}  [cleanOptions.structuredOutput]  Parses the xcodebuild
+     *   output the same way as the build option of the same name.
+     *
      * @return  {Promise}  Return a promise either fulfilled, or rejected with
      *   CordovaError.
      */
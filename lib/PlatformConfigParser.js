@@ -17,6 +17,8 @@
     under the License.
 */
 
+const et = require('elementtree');
+const plist = require('plist');
 const ConfigParser = require('cordova-common').ConfigParser;
 
 class PlatformConfigParser extends ConfigParser {
@@ -27,6 +29,99 @@ class PlatformConfigParser extends ConfigParser {
     getPrivacyManifest () {
         return this.doc.find('./platform[@name="ios"]/privacy-manifest');
     }
+
+    /**
+     * Returns the entitlements of a build configuration, such as "Debug" or
+     * "Release". The <entitlements> elements contain plist keys and values,
+     * and apply to all configurations unless they have a configuration
+     * attribute. Entitlements of a specific configuration take precedence.
+     */
+    getEntitlements (configuration) {
+        const elements = this.doc.findall('./platform[@name="ios"]/entitlements');
+        const matchesConfiguration = element => (element.attrib.configuration || '').toLowerCase() === configuration.toLowerCase();
+
+        return elements.filter(element => !element.attrib.configuration)
+            .concat(elements.filter(matchesConfiguration))
+            .reduce((entitlements, element) => Object.assign(entitlements, parsePlistDict(element)), {});
+    }
+
+    /**
+     * Returns the App-Info.plist keys and values of the <info-plist> elements.
+     */
+    getInfoPlist () {
+        return this.doc.findall('./platform[@name="ios"]/info-plist')
+            .reduce((infoPlist, element) => Object.assign(infoPlist, parsePlistDict(element)), {});
+    }
+
+    /**
+     * Returns the localized <usage-description> strings by locale, e.g.
+     * { de: { NSCameraUsageDescription: 'Zum Scannen von Codes' } }.
+     * Entries without a key or locale attribute are skipped.
+     */
+    getUsageDescriptions () {
+        return this.doc.findall('./platform[@name="ios"]/usage-description')
+            .filter(element => element.attrib.key && element.attrib.locale)
+            .reduce((descriptions, element) => {
+                const { key, locale } = element.attrib;
+                descriptions[locale] = Object.assign(descriptions[locale] || {}, { [key]: (element.text || '').trim() });
+                return descriptions;
+            }, {});
+    }
+
+    /**
+     * Returns the CFBundleURLTypes entries of the <url-scheme> elements, e.g.
+     * <url-scheme name="myapp" />. The optional identifier attribute sets the
+     * CFBundleURLName, which defaults to the bundle identifier, and the role
+     * attribute sets the CFBundleTypeRole, which defaults to "Editor".
+     */
+    getURLTypes () {
+        const bundleIdentifier = this.getAttribute('ios-CFBundleIdentifier') || this.packageName();
+
+        return this.doc.findall('./platform[@name="ios"]/url-scheme')
+            .filter(element => element.attrib.name)
+            .map(element => ({
+                CFBundleURLName: element.attrib.identifier || bundleIdentifier,
+                CFBundleTypeRole: element.attrib.role || 'Editor',
+                CFBundleURLSchemes: [element.attrib.name]
+            }));
+    }
+
+    /**
+     * Returns the associated domains entitlement values of the
+     * <associated-domain> elements, e.g. <associated-domain name="example.com" />
+     * becomes "applinks:example.com". The service attribute selects another
+     * service, such as "webcredentials".
+     */
+    getAssociatedDomains () {
+        return this.doc.findall('./platform[@name="ios"]/associated-domain')
+            .filter(element => element.attrib.name)
+            .map(element => `${element.attrib.service || 'applinks'}:${element.attrib.name}`);
+    }
+
+    /**
+     * Returns the locales declared by <locales>, e.g.
+     * [{ name: 'de', displayName: 'Meine App' }]. The display name is the
+     * localized CFBundleDisplayName and defaults to the app's short name.
+     */
+    getLocales () {
+        return this.doc.findall('./platform[@name="ios"]/locales/locale')
+            .filter(element => element.attrib.name)
+            .map(element => ({
+                name: element.attrib.name,
+                displayName: element.attrib['display-name'] || this.shortName()
+            }));
+    }
+}
+
+/**
+ * Parses the plist keys and values inside of a config.xml element.
+ */
+function parsePlistDict (element) {
+    const plistElement = et.Element('plist');
+    const dictElement = et.SubElement(plistElement, 'dict');
+    element.getchildren().forEach(child => dictElement.append(child));
+
+    return plist.parse(new et.ElementTree(plistElement).write({ xml_declaration: false }));
 }
 
 module.exports = PlatformConfigParser;
@@ -22,11 +22,15 @@ const path = require('node:path');
 const nopt = require('nopt');
 const which = require('which');
 const execa = require('execa');
-const { CordovaError, events } = require('cordova-common');
+const { CordovaError, events, xmlHelpers } = require('cordova-common');
 const plist = require('plist');
 
 const check_reqs = require('./check_reqs');
 const projectFile = require('./projectFile');
+const xcodebuildOutput = require('./xcodebuildOutput');
+const buildFingerprint = require('./buildFingerprint');
+const provisioningProfile = require('./provisioningProfile');
+const versions = require('./versions');
 
 const buildConfigProperties = [
     'codeSignIdentity',
@@ -38,9 +42,65 @@ const buildConfigProperties = [
     'automaticProvisioning',
     'authenticationKeyPath',
     'authenticationKeyID',
-    'authenticationKeyIssuerID'
+    'authenticationKeyIssuerID',
+    'exportSymbols',
+    'includeBCSymbolMaps',
+    'packageSimulatorApp',
+    'scheme',
+    'xcodeTarget',
+    'provisioningProfilePath',
+    'exportOptions'
 ];
 
+// Keys of exportOptions.plist (see `xcodebuild -help`) and their value types.
+// Arrays list the allowed values of a string, 'dictionary' is a map of strings.
+const exportOptionsSchema = {
+    compileBitcode: 'boolean',
+    destination: ['export', 'upload'],
+    distributionBundleIdentifier: 'string',
+    embedOnDemandResourcesAssetPacksInBundle: 'boolean',
+    generateAppStoreInformation: 'boolean',
+    iCloudContainerEnvironment: ['Development', 'Production'],
+    installerSigningCertificate: 'string',
+    manageAppVersionAndBuildNumber: 'boolean',
+    manifest: 'dictionary',
+    method: 'string',
+    onDemandInstallCapable: 'boolean',
+    onDemandResourcesAssetPacksBaseURL: 'string',
+    provisioningProfiles: 'dictionary',
+    signingCertificate: 'string',
+    signingStyle: ['manual', 'automatic'],
+    stripSwiftSymbols: 'boolean',
+    teamID: 'string',
+    testFlightInternalTestingOnly: 'boolean',
+    thinning: 'string',
+    uploadBitcode: 'boolean',
+    uploadSymbols: 'boolean'
+};
+
+// Export methods that were renamed in Xcode 15.3
+const legacyExportMethods = {
+    'app-store': 'app-store-connect',
+    'ad-hoc': 'release-testing',
+    development: 'debugging'
+};
+const exportMethods = Object.values(legacyExportMethods)
+    .concat(['enterprise', 'validation', 'package', 'developer-id', 'mac-application'])
+    .concat(Object.keys(legacyExportMethods));
+const RENAMED_EXPORT_METHODS_XCODE_VERSION = '15.3';
+// Export methods that archive and export Mac Catalyst builds
+const catalystExportMethods = ['developer-id', 'mac-application', 'app-store-connect', 'app-store'];
+const APP_SANDBOX_ENTITLEMENT = 'com.apple.security.app-sandbox';
+
+const BUILD_RESULT_FILENAME = 'cordova-build-result.json';
+const SYMBOLS_ZIP_SUFFIX = '.dSYMs.zip';
+const SIMULATOR_APP_ZIP_SUFFIX = '.app.zip';
+// Stores the targets whose PROVISIONING_PROFILE_SPECIFIER the build wrote
+const MANAGED_PROVISIONING_PROFILES_FILENAME = 'managed-provisioning-profiles.json';
+
+// Build config properties whose values must not show up in the logs
+const SECRET_KEY_PATTERN = /key|secret|password|token/i;
+
 // These are regular expressions to detect if the user is changing any of the built-in xcodebuildArgs
 /* eslint-disable no-useless-escape */
 const buildFlagMatchers = {
@@ -82,7 +142,17 @@ function parseOptions (options) {
         authenticationKeyID: String,
         authenticationKeyIssuerID: String,
         buildFlag: [String, Array],
-        iCloudContainerEnvironment: String
+        iCloudContainerEnvironment: String,
+        exportSymbols: Boolean,
+        includeBCSymbolMaps: Boolean,
+        packageSimulatorApp: Boolean,
+        scheme: String,
+        xcodeTarget: String,
+        provisioningProfilePath: [String, Array],
+        buildProfile: String,
+        dryRun: Boolean,
+        structuredOutput: Boolean,
+        forceBuild: Boolean
     }, {}, options.argv, 0);
 
     if (options.debug && options.release) {
@@ -97,6 +167,15 @@ function parseOptions (options) {
         options[key] = options.argv[key] || options[key];
     });
 
+    options.dryRun = options.argv.dryRun || options.dryRun;
+    options.structuredOutput = options.argv.structuredOutput || options.structuredOutput;
+    options.forceBuild = options.argv.forceBuild || options.forceBuild;
+    options.buildProfile = options.argv.buildProfile || options.buildProfile;
+
+    if (options.buildProfile && !options.buildConfig) {
+        throw new CordovaError(`Build profile "${options.buildProfile}" requires a build config file.`);
+    }
+
     if (options.buildConfig) {
         if (!fs.existsSync(options.buildConfig)) {
             throw new CordovaError(`Build config file does not exist: ${options.buildConfig}`);
@@ -104,21 +183,174 @@ function parseOptions (options) {
         events.emit('log', `Reading build config file: ${path.resolve(options.buildConfig)}`);
         const contents = fs.readFileSync(options.buildConfig, 'utf-8');
         const buildConfig = JSON.parse(contents.replace(/^\ufeff/, '')); // Remove BOM
-        if (buildConfig.ios) {
-            const buildType = options.release ? 'release' : 'debug';
-            const config = buildConfig.ios[buildType];
-            if (config) {
-                buildConfigProperties.forEach(key => {
-                    options[key] = options[key] || config[key];
-                });
-            }
+        const profileName = options.buildProfile || (options.release ? 'release' : 'debug');
+
+        if (options.buildProfile && !buildConfig.ios?.[profileName]) {
+            throw new CordovaError(`Build profile "${profileName}" is not defined in the "ios" section of ${options.buildConfig}.`);
+        }
+
+        if (buildConfig.ios?.[profileName]) {
+            const config = resolveBuildProfile(buildConfig.ios, profileName);
+            buildConfigProperties.forEach(key => {
+                if (!options[key] && config[key] !== undefined) {
+                    options[key] = interpolateEnvVariables(config[key], key);
+                    events.emit('verbose', `Build config ${key}: ${maskSecret(key, options[key])}`);
+                }
+            });
+            options.configuration = options.configuration || config.configuration;
         }
     }
 
+    if (options.exportOptions) {
+        validateExportOptions(options.exportOptions);
+    }
+
+    const exportMethod = getRequestedExportMethod(options);
+    if (exportMethod && !exportMethods.includes(exportMethod)) {
+        throw new CordovaError(`Unknown packageType "${exportMethod}". Valid values are: ${exportMethods.join(', ')}`);
+    }
+
     return options;
 }
 
-/** @returns {Promise<void>} */
+/**
+ * Checks the exportOptions build option against the keys and value types
+ * that xcodebuild supports in exportOptions.plist.
+ *
+ * @param  {Object}  exportOptions  The exportOptions build option
+ * @throws {CordovaError}           When a key is unknown or has a wrong value
+ */
+function validateExportOptions (exportOptions) {
+    if (typeof exportOptions !== 'object' || Array.isArray(exportOptions)) {
+        throw new CordovaError('The exportOptions build option must be an object.');
+    }
+
+    const problems = Object.keys(exportOptions).map(key => {
+        const type = exportOptionsSchema[key];
+        const value = exportOptions[key];
+
+        if (!type) {
+            return `"${key}" is not a known export option`;
+        }
+
+        if (Array.isArray(type)) {
+            return type.includes(value) ? null : `"${key}" must be one of ${type.join(', ')}`;
+        }
+
+        if (type === 'dictionary') {
+            const isDictionary = value && typeof value === 'object' && !Array.isArray(value) &&
+                Object.values(value).every(item => typeof item === 'string');
+            return isDictionary ? null : `"${key}" must be an object with string values`;
+        }
+
+        const isValid = type === 'boolean' ? typeof value === 'boolean' : typeof value === 'string';
+        return isValid ? null : `"${key}" must be a ${type}`;
+    }).filter(Boolean);
+
+    if (problems.length > 0) {
+        throw new CordovaError(`Invalid exportOptions:\n\t${problems.join('\n\t')}`);
+    }
+}
+
+/**
+ * Replaces `${env:NAME}` placeholders in a build config value (recursively for
+ * arrays and objects) with the value of the NAME environment variable.
+ *
+ * @param  {*}       value  The build config value
+ * @param  {String}  key    Name of the build config property, for error messages
+ * @return {*}              The interpolated value
+ */
+function interpolateEnvVariables (value, key) {
+    if (Array.isArray(value)) {
+        return value.map(item => interpolateEnvVariables(item, key));
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .map(([name, item]) => [name, interpolateEnvVariables(item, key)]));
+    }
+
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    return value.replace(/\$\{env:([^}]+)\}/g, (match, name) => {
+        if (process.env[name] === undefined) {
+            throw new CordovaError(`Environment variable "${name}" used by build config property "${key}" is not set.`);
+        }
+        return process.env[name];
+    });
+}
+
+/**
+ * Hides the value of build config properties that look like secrets, so they
+ * can be logged.
+ */
+function maskSecret (key, value) {
+    return SECRET_KEY_PATTERN.test(key) ? '********' : JSON.stringify(value);
+}
+
+/**
+ * Hides the values of xcodebuild arguments that look like secrets, such as
+ * -authenticationKeyID, so the arguments can be logged.
+ */
+function maskSecretArgs (args) {
+    return args && args.map((arg, i) => {
+        const option = args[i - 1];
+        return typeof option === 'string' && option.startsWith('-') && SECRET_KEY_PATTERN.test(option) ? '********' : arg;
+    });
+}
+
+/**
+ * Resolves a named profile from the "ios" section of the build config file,
+ * merging in the profiles it extends. The "debug" and "release" profiles map
+ * to the Debug and Release Xcode configurations unless they say otherwise.
+ *
+ * @param  {Object}  profiles  The "ios" section of the build config file
+ * @param  {String}  name      Name of the profile to resolve
+ * @param  {Array}   [chain]   Names of the profiles already being resolved
+ * @return {Object}            The merged profile
+ */
+function resolveBuildProfile (profiles, name, chain = []) {
+    if (chain.includes(name)) {
+        throw new CordovaError(`Build profile "${name}" extends itself: ${chain.concat(name).join(' -> ')}`);
+    }
+
+    const profile = profiles[name];
+    if (!profile) {
+        throw new CordovaError(`Build profile "${chain[chain.length - 1]}" extends unknown profile "${name}".`);
+    }
+
+    const defaults = {
+        debug: { configuration: 'Debug' },
+        release: { configuration: 'Release' }
+    };
+    const base = profile.extends
+        ? resolveBuildProfile(profiles, profile.extends, chain.concat(name))
+        : {};
+
+    const own = { ...profile };
+    delete own.extends;
+
+    return { ...defaults[name], ...base, ...own };
+}
+
+/**
+ * Returns the Xcode configuration name to build with.
+ *
+ * @param  {Object}  buildOpts  The parsed build options
+ * @return {String}
+ */
+function getConfiguration (buildOpts) {
+    return buildOpts.configuration || (buildOpts.release ? 'Release' : 'Debug');
+}
+
+/**
+ * Builds the project, or only describes the build when `buildOpts.dryRun` is set.
+ *
+ * @returns {Promise<Object>} Resolves with the build plan (see getBuildPlan)
+ *   for dry-run builds, otherwise with the build result (see getBuildResult).
+ */
 module.exports.run = function (buildOpts) {
     try {
         buildOpts = parseOptions(buildOpts);
@@ -146,23 +378,349 @@ module.exports.run = function (buildOpts) {
             }
         })
         .then(() => check_reqs.run())
+        .then(() => checkXcodeConfiguration(projectPath, getConfiguration(buildOpts)))
+        .then(() => resolveSchemeAndTarget(projectPath, buildOpts))
+        .then(() => {
+            if (shouldExportArchive(buildOpts)) {
+                return resolveExportMethod(buildOpts);
+            }
+        })
+        .then(() => {
+            if (isCatalystExport(buildOpts) && ['app-store-connect', 'app-store'].includes(buildOpts.packageType)) {
+                checkAppSandbox(projectPath, buildOpts);
+            }
+        })
         .then(() => {
-            let extraConfig = '';
-            if (buildOpts.codeSignIdentity) {
-                extraConfig += `CODE_SIGN_IDENTITY = ${buildOpts.codeSignIdentity}\n`;
+            if (buildOpts.dryRun) {
+                const plan = getBuildPlan(projectPath, buildOpts);
+                events.emit('log', 'Dry run, xcodebuild will not be invoked.');
+                const loggedPlan = {
+                    ...plan,
+                    xcodebuildArgs: maskSecretArgs(plan.xcodebuildArgs),
+                    xcodearchiveArgs: maskSecretArgs(plan.xcodearchiveArgs)
+                };
+                events.emit('verbose', `Build plan: ${JSON.stringify(loggedPlan, null, 2)}`);
+                return plan;
             }
 
-            if (buildOpts.provisioningProfile) {
-                if (typeof buildOpts.provisioningProfile === 'string') {
-                    extraConfig += `PROVISIONING_PROFILE_SPECIFIER = ${buildOpts.provisioningProfile}\n`;
-                } else {
-                    const keys = Object.keys(buildOpts.provisioningProfile);
-                    extraConfig += `PROVISIONING_PROFILE_SPECIFIER = ${buildOpts.provisioningProfile[keys[0]]}\n`;
+            if (buildOpts.provisioningProfile && shouldExportArchive(buildOpts)) {
+                checkProvisioningProfiles(projectPath, buildOpts);
+            }
+
+            // The signing settings are written first, as the fingerprint includes the Xcode project
+            return writeProjectSettings(projectPath, buildOpts).then(() => {
+                const startTime = Date.now();
+                const outputName = `${getConfiguration(buildOpts)}-${getBuildPlatform(buildOpts)}`;
+                const fingerprint = buildFingerprint.compute(projectPath, buildOpts);
+                const upToDateResult = !buildOpts.forceBuild && buildFingerprint.getUpToDateResult(projectPath, outputName, fingerprint);
+                if (upToDateResult) {
+                    events.emit('log', `Nothing changed since the last ${outputName} build, skipping xcodebuild. Use --forceBuild to build anyway.`);
+                    return saveBuildResult(projectPath, { ...upToDateResult, upToDate: true, durationMs: Date.now() - startTime });
                 }
+
+                return runBuild(projectPath, buildOpts)
+                    .then(xcodebuildArgs => writeBuildResult(projectPath, buildOpts, xcodebuildArgs, Date.now() - startTime))
+                    .then(result => {
+                        buildFingerprint.save(projectPath, outputName, fingerprint, result);
+                        return result;
+                    });
+            });
+        });
+};
+
+/**
+ * Resolves the build options the way a build does, for running an app that is
+ * already built: the configuration of the build config and profile, the
+ * scheme and the xcodeTarget it builds are set on buildOpts. The other
+ * options, such as argv, are left as they are.
+ *
+ * @returns {Promise<Object>} Resolves with buildOpts
+ */
+module.exports.resolveOptions = function (buildOpts) {
+    try {
+        const resolvedOpts = parseOptions({ ...buildOpts });
+        resolveSchemeAndTarget(this.root, resolvedOpts);
+
+        buildOpts.configuration = getConfiguration(resolvedOpts);
+        buildOpts.scheme = resolvedOpts.scheme;
+        buildOpts.xcodeTarget = resolvedOpts.xcodeTarget;
+    } catch (e) {
+        return Promise.reject(e);
+    }
+
+    return Promise.resolve(buildOpts);
+};
+
+module.exports.getConfiguration = getConfiguration;
+
+/**
+ * Ensures the Xcode project defines the configuration we are about to build.
+ *
+ * @param  {String}  projectPath    Path to the iOS platform project
+ * @param  {String}  configuration  The Xcode configuration name
+ */
+function checkXcodeConfiguration (projectPath, configuration) {
+    const project = createProjectObject(projectPath);
+    const buildConfigurations = project.xcode.pbxXCBuildConfigurationSection();
+    const names = Object.values(buildConfigurations)
+        .filter(config => typeof config === 'object' && config.name)
+        .map(config => config.name.replace(/^"/, '').replace(/"$/, ''));
+
+    if (!names.includes(configuration)) {
+        throw new CordovaError(`The Xcode project does not define a "${configuration}" build configuration.`);
+    }
+}
+
+/**
+ * Fails early when a requested provisioning profile is missing or does not
+ * match the app's bundle identifier, team, entitlements or certificate.
+ *
+ * @param  {String}  projectPath  Path to the iOS platform project
+ * @param  {Object}  buildOpts    The parsed build options
+ */
+function checkProvisioningProfiles (projectPath, buildOpts) {
+    const project = createProjectObject(projectPath);
+    const configuration = getConfiguration(buildOpts);
+
+    provisioningProfile.check(buildOpts, {
+        bundleIdentifier: getBundleIdentifier(project, configuration, getXcodeTarget(buildOpts)),
+        entitlements: getAppEntitlements(projectPath, buildOpts)
+    });
+}
+
+/**
+ * Returns the contents of the app target's CODE_SIGN_ENTITLEMENTS file.
+ *
+ * @param  {String}  projectPath  Path to the iOS platform project
+ * @param  {Object}  buildOpts    The parsed build options
+ * @return {Object|null}          The entitlements, or null if there is no file
+ */
+function getAppEntitlements (projectPath, buildOpts) {
+    const project = createProjectObject(projectPath);
+    const configuration = getConfiguration(buildOpts);
+    const target = getXcodeTarget(buildOpts);
+
+    const entitlementsFile = getTargetBuildProperty(project, 'CODE_SIGN_ENTITLEMENTS', configuration, target);
+    if (!entitlementsFile) {
+        return null;
+    }
+
+    const entitlementsPath = path.join(projectPath, entitlementsFile
+        .replace('$(TARGET_NAME)', target)
+        .replace('$(CONFIGURATION)', configuration));
+
+    return fs.existsSync(entitlementsPath)
+        ? plist.parse(fs.readFileSync(entitlementsPath, 'utf-8'))
+        : null;
+}
+
+/**
+ * Mac App Store apps must run in the App Sandbox. Fails before archiving when
+ * the app's entitlements don't enable it.
+ *
+ * @param  {String}  projectPath  Path to the iOS platform project
+ * @param  {Object}  buildOpts    The parsed build options
+ */
+function checkAppSandbox (projectPath, buildOpts) {
+    const entitlements = getAppEntitlements(projectPath, buildOpts) || {};
+
+    if (entitlements[APP_SANDBOX_ENTITLEMENT] !== true) {
+        throw new CordovaError(`Mac App Store builds require the App Sandbox. Set the ${APP_SANDBOX_ENTITLEMENT} entitlement to true in the ${getConfiguration(buildOpts)} entitlements of the app.`);
+    }
+}
+
+/**
+ * Sets the packageType to the export method name that the installed Xcode
+ * understands: Xcode 15.3 renamed app-store, ad-hoc and development to
+ * app-store-connect, release-testing and debugging.
+ *
+ * @param  {Object}  buildOpts  The parsed build options
+ * @return {Promise}
+ */
+function resolveExportMethod (buildOpts) {
+    const method = getRequestedExportMethod(buildOpts) || 'development';
+
+    return versions.get_apple_xcode_version()
+        .catch(err => {
+            events.emit('verbose', `Could not determine the Xcode version, using export method ${method}: ${err.message}`);
+            return null;
+        })
+        .then(xcodeVersion => {
+            let exportMethod = method;
+
+            if (xcodeVersion && versions.compareVersions(xcodeVersion, RENAMED_EXPORT_METHODS_XCODE_VERSION) >= 0) {
+                exportMethod = legacyExportMethods[method] || method;
+            } else if (xcodeVersion) {
+                exportMethod = Object.keys(legacyExportMethods).find(legacy => legacyExportMethods[legacy] === method) || method;
             }
-            if (buildOpts.developmentTeam) {
-                extraConfig += `DEVELOPMENT_TEAM = ${buildOpts.developmentTeam}\n`;
+
+            if (exportMethod !== method) {
+                events.emit('verbose', `Using export method ${exportMethod} instead of ${method} for Xcode ${xcodeVersion}.`);
             }
+            buildOpts.packageType = exportMethod;
+        });
+}
+
+/**
+ * Validates the scheme and xcodeTarget options against the workspace, and
+ * fills in the native target built by the scheme when no target is given.
+ *
+ * @param  {String}  projectPath  Path to the iOS platform project
+ * @param  {Object}  buildOpts    The parsed build options
+ */
+function resolveSchemeAndTarget (projectPath, buildOpts) {
+    if (buildOpts.scheme) {
+        const schemes = getWorkspaceSchemes(projectPath);
+        if (!schemes[buildOpts.scheme]) {
+            throw new CordovaError(`The scheme "${buildOpts.scheme}" does not exist in App.xcworkspace. Available schemes: ${Object.keys(schemes).join(', ')}`);
+        }
+
+        if (!buildOpts.xcodeTarget) {
+            buildOpts.xcodeTarget = getSchemeAppTarget(schemes[buildOpts.scheme]);
+            events.emit('verbose', `Scheme "${buildOpts.scheme}" builds the "${buildOpts.xcodeTarget}" target.`);
+        }
+    }
+
+    if (buildOpts.xcodeTarget) {
+        const targets = getNativeTargetNames(createProjectObject(projectPath));
+
+        if (!targets.includes(buildOpts.xcodeTarget)) {
+            throw new CordovaError(`The target "${buildOpts.xcodeTarget}" does not exist in the Xcode project. Available targets: ${targets.join(', ')}`);
+        }
+    }
+}
+
+function getNativeTargetNames (project) {
+    return Object.values(project.xcode.pbxNativeTargetSection())
+        .filter(target => typeof target === 'object' && target.name)
+        .map(target => target.name.replace(/^"/, '').replace(/"$/, ''));
+}
+
+/**
+ * Maps the native targets to the provisioning profiles of their bundle
+ * identifiers, when the provisioningProfile option is a bundle identifier to
+ * profile map. App extensions are signed with their own profile this way.
+ *
+ * @param  {String}  projectPath  Path to the iOS platform project
+ * @param  {Object}  buildOpts    The parsed build options
+ * @return {Object}               Target names mapped to profile specifiers
+ */
+function getTargetProvisioningProfiles (projectPath, buildOpts) {
+    const profiles = buildOpts.provisioningProfile;
+    if (!profiles || typeof profiles !== 'object') {
+        return {};
+    }
+
+    const project = createProjectObject(projectPath);
+    const configuration = getConfiguration(buildOpts);
+    const targetProfiles = {};
+
+    getNativeTargetNames(project).forEach(target => {
+        const bundleIdentifier = getBundleIdentifier(project, configuration, target);
+        if (profiles[bundleIdentifier]) {
+            targetProfiles[target] = profiles[bundleIdentifier];
+        }
+    });
+
+    const usedBundleIdentifiers = Object.keys(targetProfiles)
+        .map(target => getBundleIdentifier(project, configuration, target));
+    Object.keys(profiles)
+        .filter(bundleIdentifier => !usedBundleIdentifiers.includes(bundleIdentifier))
+        .forEach(bundleIdentifier => {
+            events.emit('warn', `No target has the bundle identifier ${bundleIdentifier}, its provisioning profile is not used.`);
+        });
+
+    return targetProfiles;
+}
+
+/**
+ * Returns the shared schemes of the workspace and of the Xcode project.
+ *
+ * @param  {String}  projectPath  Path to the iOS platform project
+ * @return {Object}               Scheme names mapped to their .xcscheme file
+ */
+function getWorkspaceSchemes (projectPath) {
+    const schemes = {};
+
+    ['App.xcworkspace', 'App.xcodeproj'].forEach(container => {
+        const schemesDir = path.join(projectPath, container, 'xcshareddata', 'xcschemes');
+        if (!fs.existsSync(schemesDir)) {
+            return;
+        }
+
+        fs.readdirSync(schemesDir)
+            .filter(file => path.extname(file) === '.xcscheme')
+            .forEach(file => {
+                schemes[path.basename(file, '.xcscheme')] = path.join(schemesDir, file);
+            });
+    });
+
+    return schemes;
+}
+
+/**
+ * Returns the name of the target that produces the .app of a scheme.
+ *
+ * @param  {String}  schemePath  Path to the .xcscheme file
+ * @return {String}
+ */
+function getSchemeAppTarget (schemePath) {
+    const scheme = xmlHelpers.parseElementtreeSync(schemePath);
+    const reference = scheme.findall('./BuildAction/BuildActionEntries/BuildActionEntry/BuildableReference')
+        .find(ref => /\.app$/.test(ref.attrib.BuildableName || ''));
+
+    if (!reference) {
+        throw new CordovaError(`The scheme "${path.basename(schemePath, '.xcscheme')}" does not build an app.`);
+    }
+
+    return reference.attrib.BlueprintName;
+}
+
+/**
+ * Describes everything build.run would do for the given options without
+ * writing any file or spawning xcodebuild.
+ *
+ * @param  {String}  projectPath  Path to the iOS platform project
+ * @param  {Object}  buildOpts    The parsed build options
+ * @return {Object}               The build plan
+ */
+function getBuildPlan (projectPath, buildOpts) {
+    const configuration = getConfiguration(buildOpts);
+    const platform = getBuildPlatform(buildOpts);
+
+    const plan = {
+        configuration,
+        platform,
+        codeSignStyle: getCodeSignStyle(buildOpts),
+        targetProvisioningProfiles: getTargetProvisioningProfiles(projectPath, buildOpts),
+        buildExtrasConfig: getBuildExtrasConfig(buildOpts),
+        xcodebuildArgs: getXcodeBuildArgs(projectPath, configuration, buildOpts),
+        exportOptions: null,
+        xcodearchiveArgs: null
+    };
+
+    if (shouldExportArchive(buildOpts)) {
+        const project = createProjectObject(projectPath);
+        const exportOptionsPath = path.join(projectPath, 'exportOptions.plist');
+        const buildOutputDir = path.join(projectPath, 'build', `${configuration}-${platform}`);
+
+        plan.exportOptions = getExportOptions(buildOpts, getBundleIdentifier(project, configuration, getXcodeTarget(buildOpts)));
+        plan.xcodearchiveArgs = getXcodeArchiveArgs(projectPath, buildOutputDir, exportOptionsPath, buildOpts);
+    }
+
+    return plan;
+}
+
+/**
+ * Writes the signing settings of the build options to the Xcode project, and
+ * the build-extras.xcconfig file.
+ *
+ * @return {Promise}
+ */
+function writeProjectSettings (projectPath, buildOpts) {
+    return Promise.resolve()
+        .then(() => {
+            const extraConfig = getBuildExtrasConfig(buildOpts);
 
             function writeCodeSignStyle (value) {
                 const project = createProjectObject(projectPath);
@@ -175,18 +733,59 @@ module.exports.run = function (buildOpts) {
                 project.write();
             }
 
-            if (buildOpts.provisioningProfile) {
+            function writeTargetProvisioningProfiles (targetProfiles) {
+                const managedProfilesFile = path.join(projectPath, 'cordova', MANAGED_PROVISIONING_PROFILES_FILENAME);
+                const managedTargets = fs.existsSync(managedProfilesFile) ? Object.keys(JSON.parse(fs.readFileSync(managedProfilesFile, 'utf-8'))) : [];
+                if (managedTargets.length === 0 && Object.keys(targetProfiles).length === 0) {
+                    return;
+                }
+
+                const project = createProjectObject(projectPath);
+
+                // Profiles of a previous build conflict with the new ones and with automatic
+                // signing, the specifiers that were not written by a build are kept
+                managedTargets
+                    .filter(target => !targetProfiles[target])
+                    .forEach(target => {
+                        events.emit('verbose', `Remove PROVISIONING_PROFILE_SPECIFIER of the ${target} target.`);
+                        removeTargetBuildProperty(project, 'PROVISIONING_PROFILE_SPECIFIER', target);
+                    });
+                Object.keys(targetProfiles).forEach(target => {
+                    events.emit('verbose', `Set PROVISIONING_PROFILE_SPECIFIER of the ${target} target to ${targetProfiles[target]}.`);
+                    project.xcode.updateBuildProperty('PROVISIONING_PROFILE_SPECIFIER', `"${targetProfiles[target]}"`, undefined, target);
+                });
+
+                project.write();
+                fs.writeFileSync(managedProfilesFile, JSON.stringify(targetProfiles, null, 4), 'utf-8');
+            }
+
+            const codeSignStyle = getCodeSignStyle(buildOpts);
+            if (codeSignStyle === 'Manual') {
                 events.emit('verbose', 'ProvisioningProfile build option set, changing project settings to Manual.');
-                writeCodeSignStyle('Manual');
-            } else if (buildOpts.automaticProvisioning) {
+                writeCodeSignStyle(codeSignStyle);
+                writeTargetProvisioningProfiles(getTargetProvisioningProfiles(projectPath, buildOpts));
+            } else if (codeSignStyle === 'Automatic') {
                 events.emit('verbose', 'ProvisioningProfile build option NOT set, changing project settings to Automatic.');
-                writeCodeSignStyle('Automatic');
+                writeCodeSignStyle(codeSignStyle);
+                writeTargetProvisioningProfiles({});
             }
 
             return fs.promises.writeFile(path.join(projectPath, 'cordova', 'build-extras.xcconfig'), extraConfig, 'utf-8');
-        }).then(() => {
-            const configuration = buildOpts.release ? 'Release' : 'Debug';
-            const platform = buildOpts.catalyst ? 'maccatalyst' : (buildOpts.device ? 'iphoneos' : 'iphonesimulator');
+        });
+}
+
+/**
+ * Runs xcodebuild, and exports the archive for device builds.
+ *
+ * @return {Promise<String[]>} Resolves with the xcodebuild build arguments
+ */
+function runBuild (projectPath, buildOpts) {
+    let xcodebuildArgs;
+
+    return Promise.resolve()
+        .then(() => {
+            const configuration = getConfiguration(buildOpts);
+            const platform = getBuildPlatform(buildOpts);
 
             events.emit('log', `Building project: ${path.join(projectPath, 'App.xcworkspace')}`);
             events.emit('log', `\tConfiguration: ${configuration}`);
@@ -197,48 +796,35 @@ module.exports.run = function (buildOpts) {
             // remove the build output folder before building
             fs.rmSync(buildOutputDir, { recursive: true, force: true });
 
-            const xcodebuildArgs = getXcodeBuildArgs(projectPath, configuration, buildOpts);
-            return execa('xcodebuild', xcodebuildArgs, { cwd: projectPath, stdio: 'inherit' });
+            xcodebuildArgs = getXcodeBuildArgs(projectPath, configuration, buildOpts);
+            return xcodebuildOutput.run(xcodebuildArgs, { cwd: projectPath, structuredOutput: buildOpts.structuredOutput });
         }).then(() => {
-            if (!buildOpts.device || buildOpts.catalyst || buildOpts.noSign) {
+            if (!buildOpts.packageSimulatorApp) {
                 return;
             }
 
-            const project = createProjectObject(projectPath);
-            const bundleIdentifier = project.getPackageName();
-            const exportOptions = { ...buildOpts.exportOptions, method: 'development' };
-
-            if (buildOpts.packageType) {
-                exportOptions.method = buildOpts.packageType;
-            }
-
-            if (buildOpts.iCloudContainerEnvironment) {
-                exportOptions.iCloudContainerEnvironment = buildOpts.iCloudContainerEnvironment;
-            }
-
-            if (buildOpts.developmentTeam) {
-                exportOptions.teamID = buildOpts.developmentTeam;
+            if (getBuildPlatform(buildOpts) !== 'iphonesimulator') {
+                events.emit('warn', 'The packageSimulatorApp option only applies to simulator builds, ignoring it.');
+                return;
             }
 
-            if (buildOpts.provisioningProfile && bundleIdentifier) {
-                if (typeof buildOpts.provisioningProfile === 'string') {
-                    exportOptions.provisioningProfiles = { [bundleIdentifier]: String(buildOpts.provisioningProfile) };
-                } else {
-                    events.emit('log', 'Setting multiple provisioning profiles for signing');
-                    exportOptions.provisioningProfiles = buildOpts.provisioningProfile;
-                }
-                exportOptions.signingStyle = 'manual';
+            const configuration = getConfiguration(buildOpts);
+            const productName = getProductName(createProjectObject(projectPath), configuration, getXcodeTarget(buildOpts));
+            const buildOutputDir = path.join(projectPath, 'build', `${configuration}-iphonesimulator`);
+            return zipSimulatorApp(buildOutputDir, productName);
+        }).then(() => {
+            if (!shouldExportArchive(buildOpts)) {
+                return;
             }
 
-            if (buildOpts.codeSignIdentity) {
-                exportOptions.signingCertificate = buildOpts.codeSignIdentity;
-            }
+            const project = createProjectObject(projectPath);
+            const configuration = getConfiguration(buildOpts);
+            const exportOptions = getExportOptions(buildOpts, getBundleIdentifier(project, configuration, getXcodeTarget(buildOpts)));
 
             const exportOptionsPlist = plist.build(exportOptions);
             const exportOptionsPath = path.join(projectPath, 'exportOptions.plist');
 
-            const configuration = buildOpts.release ? 'Release' : 'Debug';
-            const buildOutputDir = path.join(projectPath, 'build', `${configuration}-iphoneos`);
+            const buildOutputDir = path.join(projectPath, 'build', `${configuration}-${getBuildPlatform(buildOpts)}`);
 
             function checkSystemRuby () {
                 const ruby_cmd = which.sync('ruby', { nothrow: true });
@@ -252,15 +838,313 @@ module.exports.run = function (buildOpts) {
 
             function packageArchive () {
                 const xcodearchiveArgs = getXcodeArchiveArgs(projectPath, buildOutputDir, exportOptionsPath, buildOpts);
-                return execa('xcodebuild', xcodearchiveArgs, { cwd: projectPath, stdio: 'inherit' });
+                return xcodebuildOutput.run(xcodearchiveArgs, { cwd: projectPath, structuredOutput: buildOpts.structuredOutput });
+            }
+
+            function exportSymbols () {
+                if (!buildOpts.exportSymbols) {
+                    return;
+                }
+
+                const productName = getProductName(project, configuration, getXcodeTarget(buildOpts));
+                const zipPath = path.join(buildOutputDir, `${productName}${SYMBOLS_ZIP_SUFFIX}`);
+                return zipArchiveSymbols(getArchivePath(projectPath, xcodebuildArgs), zipPath, buildOpts.includeBCSymbolMaps);
             }
 
             return fs.promises.writeFile(exportOptionsPath, exportOptionsPlist, 'utf-8')
                 .then(checkSystemRuby)
-                .then(packageArchive);
+                .then(packageArchive)
+                .then(exportSymbols);
         })
-        .then(() => {}); // resolve to undefined
-};
+        .then(() => xcodebuildArgs);
+}
+
+/**
+ * Describes the artifacts of a finished build.
+ *
+ * Example result:
+ *  {
+ *      configuration: 'Release',
+ *      platform: 'iphoneos',
+ *      bundleIdentifier: 'com.example.app',
+ *      marketingVersion: '1.2.0',
+ *      currentProjectVersion: '42',
+ *      signingIdentity: 'Apple Distribution',
+ *      developmentTeam: 'A1B2C3',
+ *      app: '/path/to/platforms/ios/App.xcarchive/Products/Applications/App.app',
+ *      ipa: '/path/to/platforms/ios/build/Release-iphoneos/App.ipa',
+ *      pkg: null,
+ *      xcarchive: '/path/to/platforms/ios/App.xcarchive',
+ *      dSYM: '/path/to/platforms/ios/App.xcarchive/dSYMs/App.app.dSYM',
+ *      symbolsZip: '/path/to/platforms/ios/build/Release-iphoneos/App.dSYMs.zip',
+ *      simulatorAppZip: null,
+ *      upToDate: false,
+ *      durationMs: 123456
+ *  }
+ *
+ * Artifacts that were not produced by the build are null. A build that is
+ * skipped because nothing changed resolves with the previous result, with
+ * upToDate set to true and the durationMs of the skipped build.
+ *
+ * @param  {String}    projectPath     Path to the iOS platform project
+ * @param  {Object}    buildOpts       The parsed build options
+ * @param  {String[]}  xcodebuildArgs  The arguments xcodebuild was called with
+ * @param  {Number}    durationMs      How long the build took
+ * @return {Object}
+ */
+function getBuildResult (projectPath, buildOpts, xcodebuildArgs, durationMs) {
+    const configuration = getConfiguration(buildOpts);
+    const platform = getBuildPlatform(buildOpts);
+    const project = createProjectObject(projectPath);
+    const target = getXcodeTarget(buildOpts);
+    const getBuildProperty = name => getTargetBuildProperty(project, name, configuration, target);
+
+    const productName = getProductName(project, configuration, target);
+    const buildOutputDir = path.join(projectPath, 'build', `${configuration}-${platform}`);
+    const xcarchive = getArchivePath(projectPath, xcodebuildArgs);
+
+    const existing = (...segments) => {
+        const artifactPath = path.join(...segments);
+        return fs.existsSync(artifactPath) ? artifactPath : null;
+    };
+
+    return {
+        configuration,
+        platform,
+        bundleIdentifier: getBundleIdentifier(project, configuration, target),
+        marketingVersion: getBuildProperty('MARKETING_VERSION'),
+        currentProjectVersion: getBuildProperty('CURRENT_PROJECT_VERSION'),
+        signingIdentity: buildOpts.codeSignIdentity || getBuildProperty('CODE_SIGN_IDENTITY'),
+        developmentTeam: buildOpts.developmentTeam || getBuildProperty('DEVELOPMENT_TEAM'),
+        // Exported Mac apps are signed for distribution, unlike the archived one
+        app: xcarchive && platform !== 'maccatalyst'
+            ? existing(xcarchive, 'Products', 'Applications', `${productName}.app`)
+            : existing(buildOutputDir, `${productName}.app`) || (xcarchive && existing(xcarchive, 'Products', 'Applications', `${productName}.app`)),
+        ipa: existing(buildOutputDir, `${productName}.ipa`),
+        pkg: existing(buildOutputDir, `${productName}.pkg`),
+        xcarchive: xcarchive && existing(xcarchive),
+        dSYM: xcarchive
+            ? existing(xcarchive, 'dSYMs', `${productName}.app.dSYM`)
+            : existing(buildOutputDir, `${productName}.app.dSYM`),
+        symbolsZip: existing(buildOutputDir, `${productName}${SYMBOLS_ZIP_SUFFIX}`),
+        simulatorAppZip: existing(buildOutputDir, `${productName}${SIMULATOR_APP_ZIP_SUFFIX}`),
+        upToDate: false,
+        durationMs
+    };
+}
+
+/**
+ * Returns a build setting of a native target, without surrounding quotes.
+ */
+function getTargetBuildProperty (project, name, configuration, target) {
+    const value = project.xcode.getBuildProperty(name, configuration, target);
+    return value === undefined ? null : String(value).replace(/^"/, '').replace(/"$/, '');
+}
+
+/**
+ * Removes a build setting from all build configurations of a target.
+ */
+function removeTargetBuildProperty (project, name, target) {
+    const nativeTarget = project.xcode.pbxTargetByName(target);
+    const configurationList = nativeTarget && project.xcode.pbxXCConfigurationList()[nativeTarget.buildConfigurationList];
+    const configurations = project.xcode.pbxXCBuildConfigurationSection();
+
+    (configurationList ? configurationList.buildConfigurations : []).forEach(({ value }) => {
+        delete configurations[value].buildSettings[name];
+    });
+}
+
+function getProductName (project, configuration, target) {
+    return (getTargetBuildProperty(project, 'PRODUCT_NAME', configuration, target) || target).replace('$(TARGET_NAME)', target);
+}
+
+function getBundleIdentifier (project, configuration, target) {
+    return getTargetBuildProperty(project, 'PRODUCT_BUNDLE_IDENTIFIER', configuration, target);
+}
+
+/**
+ * Returns the name of the native target that builds the app.
+ */
+function getXcodeTarget (buildOpts) {
+    return buildOpts.xcodeTarget || 'App';
+}
+
+/**
+ * Returns the absolute path of the archive that xcodebuild creates with the
+ * given arguments, or null if they do not create an archive.
+ */
+function getArchivePath (projectPath, xcodebuildArgs) {
+    const archivePathIndex = xcodebuildArgs.indexOf('-archivePath');
+    return archivePathIndex >= 0 && xcodebuildArgs.includes('archive')
+        ? path.resolve(projectPath, xcodebuildArgs[archivePathIndex + 1])
+        : null;
+}
+
+/**
+ * Zips a simulator .app bundle, keeping symlinks and file permissions intact,
+ * so it can be installed with `xcrun simctl install` after unzipping.
+ *
+ * @param  {String}  buildOutputDir  Folder that holds the .app
+ * @param  {String}  productName     Name of the .app, without extension
+ * @return {Promise}
+ */
+function zipSimulatorApp (buildOutputDir, productName) {
+    const appName = `${productName}.app`;
+    const zipPath = path.join(buildOutputDir, `${productName}${SIMULATOR_APP_ZIP_SUFFIX}`);
+
+    if (!fs.existsSync(path.join(buildOutputDir, appName))) {
+        return Promise.reject(new CordovaError(`Cannot package the simulator app, ${appName} was not found in ${buildOutputDir}.`));
+    }
+
+    events.emit('log', `Packaging simulator app to ${zipPath}`);
+    fs.rmSync(zipPath, { force: true });
+    return execa('zip', ['-q', '-r', '-y', zipPath, appName], { cwd: buildOutputDir });
+}
+
+/**
+ * Zips the dSYMs (and optionally the BCSymbolMaps) of an archive, so they can
+ * be uploaded to crash reporting services.
+ *
+ * @param  {String}   archivePath          Path to the .xcarchive
+ * @param  {String}   zipPath              Path of the zip file to create
+ * @param  {Boolean}  includeBCSymbolMaps  Whether to add the BCSymbolMaps
+ * @return {Promise}
+ */
+function zipArchiveSymbols (archivePath, zipPath, includeBCSymbolMaps) {
+    const folders = ['dSYMs'];
+    if (includeBCSymbolMaps) {
+        if (fs.existsSync(path.join(archivePath, 'BCSymbolMaps'))) {
+            folders.push('BCSymbolMaps');
+        } else {
+            events.emit('warn', `No BCSymbolMaps found in ${archivePath}.`);
+        }
+    }
+
+    if (!fs.existsSync(path.join(archivePath, 'dSYMs'))) {
+        events.emit('warn', `No dSYMs found in ${archivePath}, skipping symbols export.`);
+        return Promise.resolve();
+    }
+
+    events.emit('log', `Exporting symbols to ${zipPath}`);
+    fs.rmSync(zipPath, { force: true });
+    return execa('zip', ['-q', '-r', '-y', zipPath].concat(folders), { cwd: archivePath });
+}
+
+/**
+ * Writes the build result to build/cordova-build-result.json.
+ *
+ * @return {Promise<Object>} Resolves with the build result
+ */
+function writeBuildResult (projectPath, buildOpts, xcodebuildArgs, durationMs) {
+    return saveBuildResult(projectPath, getBuildResult(projectPath, buildOpts, xcodebuildArgs, durationMs));
+}
+
+function saveBuildResult (projectPath, result) {
+    const resultPath = path.join(projectPath, 'build', BUILD_RESULT_FILENAME);
+
+    events.emit('verbose', `Writing build result to ${resultPath}`);
+    return fs.promises.mkdir(path.dirname(resultPath), { recursive: true })
+        .then(() => fs.promises.writeFile(resultPath, JSON.stringify(result, null, 4), 'utf-8'))
+        .then(() => result);
+}
+
+function getBuildPlatform (buildOpts) {
+    return buildOpts.catalyst ? 'maccatalyst' : (buildOpts.device ? 'iphoneos' : 'iphonesimulator');
+}
+
+/**
+ * Returns the CODE_SIGN_STYLE that will be written to the project, or null
+ * if the project settings are left untouched.
+ */
+function getCodeSignStyle (buildOpts) {
+    if (buildOpts.provisioningProfile) {
+        return 'Manual';
+    } else if (buildOpts.automaticProvisioning) {
+        return 'Automatic';
+    }
+    return null;
+}
+
+function shouldExportArchive (buildOpts) {
+    return buildOpts.device && !buildOpts.noSign && (!buildOpts.catalyst || isCatalystExport(buildOpts));
+}
+
+function getRequestedExportMethod (buildOpts) {
+    return buildOpts.packageType || buildOpts.exportOptions?.method;
+}
+
+/**
+ * Mac Catalyst builds are archived and exported for the Mac distribution
+ * methods, and only built otherwise so that they can be run locally.
+ */
+function isCatalystExport (buildOpts) {
+    return !!buildOpts.catalyst && catalystExportMethods.includes(getRequestedExportMethod(buildOpts));
+}
+
+/**
+ * Returns the contents of the build-extras.xcconfig file for the given
+ * signing options.
+ *
+ * @param  {Object}  buildOpts  The parsed build options
+ * @return {String}
+ */
+function getBuildExtrasConfig (buildOpts) {
+    let extraConfig = '';
+    if (buildOpts.codeSignIdentity) {
+        extraConfig += `CODE_SIGN_IDENTITY = ${buildOpts.codeSignIdentity}\n`;
+    }
+
+    // A bundle identifier to profile map is applied per target in the Xcode project
+    if (typeof buildOpts.provisioningProfile === 'string') {
+        extraConfig += `PROVISIONING_PROFILE_SPECIFIER = ${buildOpts.provisioningProfile}\n`;
+    }
+    if (buildOpts.developmentTeam) {
+        extraConfig += `DEVELOPMENT_TEAM = ${buildOpts.developmentTeam}\n`;
+    }
+
+    return extraConfig;
+}
+
+/**
+ * Returns the object that is written to exportOptions.plist when exporting
+ * the archive.
+ *
+ * @param  {Object}  buildOpts         The parsed build options
+ * @param  {String}  bundleIdentifier  The app's PRODUCT_BUNDLE_IDENTIFIER
+ * @return {Object}
+ */
+function getExportOptions (buildOpts, bundleIdentifier) {
+    // The dedicated build options take precedence over the exportOptions block
+    const exportOptions = { method: 'development', ...buildOpts.exportOptions };
+
+    if (buildOpts.packageType) {
+        exportOptions.method = buildOpts.packageType;
+    }
+
+    if (buildOpts.iCloudContainerEnvironment) {
+        exportOptions.iCloudContainerEnvironment = buildOpts.iCloudContainerEnvironment;
+    }
+
+    if (buildOpts.developmentTeam) {
+        exportOptions.teamID = buildOpts.developmentTeam;
+    }
+
+    if (buildOpts.provisioningProfile && bundleIdentifier) {
+        if (typeof buildOpts.provisioningProfile === 'string') {
+            exportOptions.provisioningProfiles = { [bundleIdentifier]: String(buildOpts.provisioningProfile) };
+        } else {
+            events.emit('log', 'Setting multiple provisioning profiles for signing');
+            exportOptions.provisioningProfiles = buildOpts.provisioningProfile;
+        }
+        exportOptions.signingStyle = 'manual';
+    }
+
+    if (buildOpts.codeSignIdentity) {
+        exportOptions.signingCertificate = buildOpts.codeSignIdentity;
+    }
+
+    return exportOptions;
+}
 
 /**
  * Returns array of arguments for xcodebuild
@@ -287,17 +1171,22 @@ function getXcodeBuildArgs (projectPath, configuration, buildConfig = {}) {
         }
     }
 
-    if (buildConfig.device && !buildConfig.catalyst) {
+    if ((buildConfig.device && !buildConfig.catalyst) || isCatalystExport(buildConfig)) {
         options = [
             '-workspace', customArgs.workspace || 'App.xcworkspace',
-            '-scheme', customArgs.scheme || 'App',
+            '-scheme', customArgs.scheme || buildConfig.scheme || 'App',
             '-configuration', customArgs.configuration || configuration,
-            '-destination', customArgs.destination || 'generic/platform=iOS',
+            '-destination', customArgs.destination || (buildConfig.catalyst ? 'generic/platform=macOS,variant=Mac Catalyst' : 'generic/platform=iOS'),
             '-archivePath', customArgs.archivePath || 'App.xcarchive'
         ];
         buildActions = ['archive'];
         settings = [];
 
+        // Notarization requires the hardened runtime
+        if (buildConfig.catalyst && getRequestedExportMethod(buildConfig) === 'developer-id') {
+            settings.push('ENABLE_HARDENED_RUNTIME=YES');
+        }
+
         if (customArgs.configuration_build_dir) {
             settings.push(customArgs.configuration_build_dir);
         }
@@ -327,7 +1216,7 @@ function getXcodeBuildArgs (projectPath, configuration, buildConfig = {}) {
     } else { // emulator
         options = [
             '-workspace', customArgs.workspace || 'App.xcworkspace',
-            '-scheme', customArgs.scheme || 'App',
+            '-scheme', customArgs.scheme || buildConfig.scheme || 'App',
             '-configuration', customArgs.configuration || configuration
         ];
 
@@ -0,0 +1,184 @@
+/*
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+        http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { events } = require('cordova-common');
+
+const FINGERPRINTS_FILENAME = 'cordova-build-fingerprints.json';
+
+// Files and folders, relative to the platform project, that affect the build
+const inputs = [
+    'www',
+    'App',
+    'App.xcodeproj/project.pbxproj',
+    'Podfile.lock',
+    'App.xcworkspace/xcshareddata/swiftpm/Package.resolved',
+    'App.xcodeproj/project.xcworkspace/xcshareddata/swiftpm/Package.resolved',
+    // The CordovaLib copy and the Swift packages of plugins
+    'packages',
+    'cordova/build.xcconfig',
+    'cordova/build-debug.xcconfig',
+    'cordova/build-release.xcconfig',
+    'cordova/build-extras.xcconfig',
+    'pods-debug.xcconfig',
+    'pods-release.xcconfig'
+];
+
+// Build options that change what is built. Others, such as the run options,
+// only change what is done with the build.
+const buildOptions = [
+    'debug',
+    'release',
+    'device',
+    'emulator',
+    'catalyst',
+    'noSign',
+    'configuration',
+    'codeSignIdentity',
+    'provisioningProfile',
+    'developmentTeam',
+    'packageType',
+    'buildFlag',
+    'iCloudContainerEnvironment',
+    'automaticProvisioning',
+    'authenticationKeyPath',
+    'authenticationKeyID',
+    'authenticationKeyIssuerID',
+    'exportSymbols',
+    'includeBCSymbolMaps',
+    'packageSimulatorApp',
+    'scheme',
+    'xcodeTarget',
+    'exportOptions'
+];
+
+/**
+ * Computes a fingerprint of the build inputs: the www folder, the App sources
+ * (including config.xml), the Xcode project and its xcconfig files, the Swift
+ * packages, Podfile.lock, Package.resolved and the build options.
+ *
+ * Files are hashed by content, so copying unchanged files during prepare does
+ * not invalidate the fingerprint.
+ *
+ * @param {string} projectPath Path to the iOS platform project
+ * @param {object} buildOpts The parsed build options
+ * @returns {string} A hex encoded sha256 hash
+ */
+function compute (projectPath, buildOpts) {
+    const hash = crypto.createHash('sha256');
+
+    inputs.forEach(input => {
+        listFiles(path.join(projectPath, input)).forEach(file => {
+            hash.update(path.relative(projectPath, file));
+            hash.update('\0');
+            hash.update(fs.readFileSync(file));
+            hash.update('\0');
+        });
+    });
+
+    const options = buildOptions
+        .filter(key => buildOpts[key] !== undefined)
+        .map(key => [key, buildOpts[key]]);
+    hash.update(JSON.stringify(options));
+
+    return hash.digest('hex');
+}
+
+function listFiles (filePath) {
+    let stat;
+    try {
+        stat = fs.lstatSync(filePath);
+    } catch (err) {
+        return [];
+    }
+
+    if (!stat.isDirectory()) {
+        return [filePath];
+    }
+
+    return fs.readdirSync(filePath)
+        .filter(name => name !== '.DS_Store')
+        .sort()
+        .flatMap(name => listFiles(path.join(filePath, name)));
+}
+
+function getFingerprintsPath (projectPath) {
+    return path.join(projectPath, 'build', FINGERPRINTS_FILENAME);
+}
+
+function readFingerprints (projectPath) {
+    try {
+        return JSON.parse(fs.readFileSync(getFingerprintsPath(projectPath), 'utf-8'));
+    } catch (err) {
+        return {};
+    }
+}
+
+/**
+ * Returns the result of the last successful build of the given output folder
+ * if it was built from the same fingerprint and all of its artifacts still
+ * exist.
+ *
+ * @param {string} projectPath Path to the iOS platform project
+ * @param {string} outputName Name of the build output folder, e.g. Debug-iphonesimulator
+ * @param {string} fingerprint The fingerprint of the current build inputs
+ * @returns {object|null} The previous build result, or null if a build is needed
+ */
+function getUpToDateResult (projectPath, outputName, fingerprint) {
+    const entry = readFingerprints(projectPath)[outputName];
+
+    if (!entry || entry.fingerprint !== fingerprint) {
+        return null;
+    }
+
+    const artifacts = ['app', 'ipa', 'pkg', 'xcarchive', 'symbolsZip', 'simulatorAppZip']
+        .map(key => entry.result[key])
+        .filter(Boolean);
+    const missing = artifacts.find(artifact => !fs.existsSync(artifact));
+    if (missing) {
+        events.emit('verbose', `Build artifact ${missing} is missing, rebuilding.`);
+        return null;
+    }
+
+    return entry.result;
+}
+
+/**
+ * Records the fingerprint and result of a successful build.
+ *
+ * @param {string} projectPath Path to the iOS platform project
+ * @param {string} outputName Name of the build output folder
+ * @param {string} fingerprint The fingerprint of the build inputs
+ * @param {object} result The build result
+ */
+function save (projectPath, outputName, fingerprint, result) {
+    const fingerprints = readFingerprints(projectPath);
+    fingerprints[outputName] = { fingerprint, result };
+
+    fs.mkdirSync(path.dirname(getFingerprintsPath(projectPath)), { recursive: true });
+    fs.writeFileSync(getFingerprintsPath(projectPath), JSON.stringify(fingerprints, null, 4), 'utf-8');
+}
+
+module.exports = {
+    compute,
+    getUpToDateResult,
+    save
+};
@@ -19,16 +19,15 @@
 
 const path = require('node:path');
 const fs = require('node:fs');
-const execa = require('execa');
+const xcodebuildOutput = require('./xcodebuildOutput');
 
-module.exports.run = function () {
+module.exports.run = function (cleanOptions = {}) {
     const projectPath = this.root;
 
     const xcodebuildClean = configName => {
-        return execa(
-            'xcodebuild',
+        return xcodebuildOutput.run(
             ['-project', 'App.xcodeproj', '-configuration', configName, '-alltargets', 'clean'],
-            { cwd: this.root, stdio: 'inherit' }
+            { cwd: this.root, structuredOutput: cleanOptions.structuredOutput }
         );
     };
 
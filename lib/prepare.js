@@ -21,6 +21,7 @@ const fs = require('node:fs');
 const path = require('node:path');
 const plist = require('plist');
 const et = require('elementtree');
+const execa = require('execa');
 const events = require('cordova-common').events;
 const xmlHelpers = require('cordova-common').xmlHelpers;
 const ConfigParser = require('cordova-common').ConfigParser;
@@ -41,6 +42,19 @@ const IMAGESET_COMPACT_SIZE_CLASS = 'compact';
 const CDV_ANY_SIZE_CLASS = 'any';
 
 const ASSUMED_XCODE_VERSION = '15.0.0';
+
+// Stores the counter of the "increment" BuildNumberStrategy
+const BUILD_NUMBER_FILENAME = 'build-number.json';
+
+// Stores the plist keys that prepare wrote from config.xml, per plist file
+const MANAGED_PLIST_KEYS_FILENAME = 'managed-plist-keys.json';
+// Stores the plist array items that prepare added from config.xml, per plist file and key
+const MANAGED_PLIST_ITEMS_FILENAME = 'managed-plist-items.json';
+
+const INFOPLIST_STRINGS_FILENAME = 'InfoPlist.strings';
+
+const ASSOCIATED_DOMAINS_ENTITLEMENT = 'com.apple.developer.associated-domains';
+
 function checkOrAssumeXcodeVersion () {
     if (process.platform === 'darwin') {
         return versions.get_apple_xcode_version();
@@ -52,9 +66,12 @@ function checkOrAssumeXcodeVersion () {
 module.exports.prepare = function (cordovaProject, options) {
     const platformJson = PlatformJson.load(this.locations.root, 'ios');
     const munger = new PlatformMunger('ios', this.locations.root, platformJson, new PluginInfoProvider());
+    const parser = new PlatformConfigParser(cordovaProject.projectConfig.path);
+
+    // Before plugins and project settings write their values for these keys again
+    removeStaleManagedPlistKeys(parser, this.locations);
     this._config = updateConfigFile(cordovaProject.projectConfig, munger, this.locations);
 
-    const parser = new PlatformConfigParser(cordovaProject.projectConfig.path);
     try {
         const manifest = parser.getPrivacyManifest();
         overwritePrivacyManifest(manifest, this.locations);
@@ -65,7 +82,11 @@ module.exports.prepare = function (cordovaProject, options) {
     // Update own www dir with project's www assets and plugins' assets and js-files
     return updateWww(cordovaProject, this.locations)
         // update project according to config.xml changes.
-        .then(() => updateProject(this._config, this.locations))
+        .then(() => updateProject(this._config, this.locations, (options && options.options) || {}))
+        .then(() => updateEntitlements(parser, this.locations))
+        .then(() => updateInfoPlist(parser, this.locations))
+        .then(() => updateLinks(parser, this.locations))
+        .then(() => updateLocalizations(parser, this.locations))
         .then(() => updateIcons(cordovaProject, this.locations))
         .then(() => updateLaunchStoryboardImages(cordovaProject, this.locations))
         .then(() => updateBackgroundColor(cordovaProject, this.locations))
@@ -95,7 +116,9 @@ module.exports.clean = function (options) {
         .then(() => cleanIcons(projectRoot, projectConfig, this.locations))
         .then(() => cleanLaunchStoryboardImages(projectRoot, projectConfig, this.locations))
         .then(() => cleanBackgroundColor(projectRoot, projectConfig, this.locations))
-        .then(() => cleanFileResources(projectRoot, projectConfig, this.locations));
+        .then(() => cleanFileResources(projectRoot, projectConfig, this.locations))
+        .then(() => cleanManagedPlistKeys(this.locations))
+        .then(() => writeInfoPlistStrings({}, this.locations));
 };
 
 /**
@@ -125,6 +148,455 @@ function overwritePrivacyManifest (manifest, locations) {
     fs.writeFileSync(privacyManifestDest, xmlString, 'utf-8');
 }
 
+/**
+ * Writes the <entitlements> of config.xml into the Entitlements-<Configuration>.plist
+ * files of the app, and removes the entitlements that were previously written
+ * but are no longer in config.xml.
+ *
+ * @param {PlatformConfigParser} platformConfig - The project's config.xml.
+ * @param {Object} locations - The locations object of the platform project.
+ */
+function updateEntitlements (platformConfig, locations) {
+    const managedKeys = readManagedPlistKeys(locations);
+
+    getEntitlementsFiles(locations).forEach(({ entitlementsFile, configuration }) => {
+        const key = path.relative(locations.root, entitlementsFile);
+
+        events.emit('verbose', `Updating ${configuration} entitlements in ${entitlementsFile}`);
+        managedKeys[key] = updatePlistFile(entitlementsFile, platformConfig.getEntitlements(configuration), managedKeys[key]);
+    });
+
+    writeManagedPlistKeys(locations, managedKeys);
+}
+
+/**
+ * Returns the Entitlements-<Configuration>.plist files of the app.
+ */
+function getEntitlementsFiles (locations) {
+    return fs.readdirSync(locations.xcodeCordovaProj)
+        .map(file => /^Entitlements-(.+)\.plist$/.exec(file))
+        .filter(Boolean)
+        .map(([file, configuration]) => ({
+            entitlementsFile: path.join(locations.xcodeCordovaProj, file),
+            configuration
+        }));
+}
+
+/**
+ * Adds the <url-scheme> elements of config.xml to CFBundleURLTypes, and the
+ * <associated-domain> elements to the associated domains entitlement.
+ *
+ * Plugins add to the same arrays, so only the items that were added by prepare
+ * are removed when they are no longer in config.xml.
+ *
+ * @param {PlatformConfigParser} platformConfig - The project's config.xml.
+ * @param {Object} locations - The locations object of the platform project.
+ */
+function updateLinks (platformConfig, locations) {
+    const managedItems = readManagedPlistKeys(locations, MANAGED_PLIST_ITEMS_FILENAME);
+    const updateItems = (plistFile, key, items) => {
+        const fileKey = path.relative(locations.root, plistFile);
+        const previousItems = (managedItems[fileKey] || {})[key];
+        managedItems[fileKey] = Object.assign(managedItems[fileKey] || {}, {
+            [key]: updatePlistArray(plistFile, key, items, previousItems)
+        });
+    };
+
+    updateItems(path.join(locations.xcodeCordovaProj, 'App-Info.plist'), 'CFBundleURLTypes', platformConfig.getURLTypes());
+
+    const associatedDomains = platformConfig.getAssociatedDomains();
+    getEntitlementsFiles(locations).forEach(({ entitlementsFile }) => {
+        updateItems(entitlementsFile, ASSOCIATED_DOMAINS_ENTITLEMENT, associatedDomains);
+    });
+
+    writeManagedPlistKeys(locations, managedItems, MANAGED_PLIST_ITEMS_FILENAME);
+}
+
+/**
+ * Deep merges the <info-plist> of config.xml into App-Info.plist, and removes
+ * the keys that were previously written but are no longer in config.xml.
+ *
+ * @param {PlatformConfigParser} platformConfig - The project's config.xml.
+ * @param {Object} locations - The locations object of the platform project.
+ */
+function updateInfoPlist (platformConfig, locations) {
+    const managedKeys = readManagedPlistKeys(locations);
+    const plistFile = path.join(locations.xcodeCordovaProj, 'App-Info.plist');
+    const key = path.relative(locations.root, plistFile);
+
+    managedKeys[key] = updatePlistFile(plistFile, platformConfig.getInfoPlist(), managedKeys[key]);
+
+    writeManagedPlistKeys(locations, managedKeys);
+}
+
+/**
+ * Removes the keys that prepare wrote from config.xml into App-Info.plist and
+ * the entitlements files, but that are no longer in config.xml.
+ *
+ * This runs before the plugins' config changes and the project settings are
+ * written, so that a key they also write gets their value back when its
+ * override is removed from config.xml.
+ *
+ * @param {PlatformConfigParser} platformConfig - The project's config.xml.
+ * @param {Object} locations - The locations object of the platform project.
+ */
+function removeStaleManagedPlistKeys (platformConfig, locations) {
+    const managedKeys = readManagedPlistKeys(locations);
+    const values = {
+        [path.relative(locations.root, path.join(locations.xcodeCordovaProj, 'App-Info.plist'))]: platformConfig.getInfoPlist()
+    };
+    getEntitlementsFiles(locations).forEach(({ entitlementsFile, configuration }) => {
+        values[path.relative(locations.root, entitlementsFile)] = platformConfig.getEntitlements(configuration);
+    });
+
+    Object.keys(managedKeys).forEach(key => {
+        const plistFile = path.join(locations.root, key);
+        const keys = getPlistKeyPaths(values[key] || {});
+        const staleKeys = managedKeys[key].filter(keyPath => !keys.includes(keyPath));
+
+        if (staleKeys.length > 0 && fs.existsSync(plistFile)) {
+            updatePlistFile(plistFile, {}, staleKeys);
+        }
+        managedKeys[key] = managedKeys[key].filter(keyPath => keys.includes(keyPath));
+    });
+
+    writeManagedPlistKeys(locations, managedKeys);
+}
+
+/**
+ * Removes all keys and array items that prepare wrote from config.xml into
+ * plist files.
+ *
+ * @param {Object} locations - The locations object of the platform project.
+ */
+function cleanManagedPlistKeys (locations) {
+    const managedKeys = readManagedPlistKeys(locations);
+
+    Object.keys(managedKeys).forEach(key => {
+        const plistFile = path.join(locations.root, key);
+        if (fs.existsSync(plistFile)) {
+            events.emit('verbose', `Cleaning ${plistFile}`);
+            updatePlistFile(plistFile, {}, managedKeys[key]);
+        }
+    });
+
+    writeManagedPlistKeys(locations, {});
+
+    const managedItems = readManagedPlistKeys(locations, MANAGED_PLIST_ITEMS_FILENAME);
+
+    Object.keys(managedItems).forEach(fileKey => {
+        const plistFile = path.join(locations.root, fileKey);
+        if (fs.existsSync(plistFile)) {
+            Object.keys(managedItems[fileKey]).forEach(key => {
+                updatePlistArray(plistFile, key, [], managedItems[fileKey][key]);
+            });
+        }
+    });
+
+    writeManagedPlistKeys(locations, {}, MANAGED_PLIST_ITEMS_FILENAME);
+}
+
+/**
+ * Adds items to an array of a plist file, and removes the previously added
+ * items that are no longer given. Items that are already in the array, e.g.
+ * because a plugin added them, are left alone.
+ *
+ * @param {String} plistFile - Path to the plist file.
+ * @param {String} key - The top level key of the array.
+ * @param {Array} items - The items to add.
+ * @param {Array} [previousItems] - The items that were added the last time.
+ * @returns {Array} The items that are now managed.
+ */
+function updatePlistArray (plistFile, key, items, previousItems = []) {
+    if (items.length === 0 && previousItems.length === 0) {
+        return [];
+    }
+
+    const contents = plist.parse(fs.readFileSync(plistFile, 'utf8'));
+    const isSameItem = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    const array = (contents[key] || []).filter(item => !previousItems.some(previous => isSameItem(previous, item)));
+    const addedItems = items.filter(item => !array.some(existing => isSameItem(existing, item)));
+    array.push(...addedItems);
+
+    if (array.length > 0) {
+        contents[key] = array;
+    } else {
+        delete contents[key];
+    }
+
+    // Write out the plist file with the same formatting as Xcode does
+    fs.writeFileSync(plistFile, plist.build(contents, { indent: '\t', offset: -1 }), 'utf-8');
+
+    return addedItems;
+}
+
+/**
+ * Deep merges values into a plist file, and deletes the previously managed
+ * keys that are no longer set. Dictionaries are merged key by key, all other
+ * values (including arrays) are replaced.
+ *
+ * Keys are tracked as paths in the format of PlistBuddy, e.g.
+ * "NSAppTransportSecurity:NSAllowsArbitraryLoads".
+ *
+ * @param {String} plistFile - Path to the plist file.
+ * @param {Object} values - The keys and values to set.
+ * @param {String[]} [previousKeys] - The key paths that were set the last time.
+ * @returns {String[]} The key paths that are now managed.
+ */
+function updatePlistFile (plistFile, values, previousKeys = []) {
+    const keys = getPlistKeyPaths(values);
+    if (keys.length === 0 && previousKeys.length === 0) {
+        return keys;
+    }
+
+    const contents = plist.parse(fs.readFileSync(plistFile, 'utf8'));
+
+    previousKeys
+        .filter(key => !keys.includes(key))
+        .forEach(key => {
+            events.emit('verbose', `Removing ${key} from ${plistFile}`);
+            removePlistKeyPath(contents, key.split(':'));
+        });
+    mergePlistValues(contents, values);
+
+    // Write out the plist file with the same formatting as Xcode does
+    fs.writeFileSync(plistFile, plist.build(contents, { indent: '\t', offset: -1 }), 'utf-8');
+
+    return keys;
+}
+
+function isPlistDict (value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        !(value instanceof Date) && !Buffer.isBuffer(value);
+}
+
+function getPlistKeyPaths (values, prefix = []) {
+    return Object.keys(values).flatMap(key => {
+        const value = values[key];
+        return isPlistDict(value) && Object.keys(value).length > 0
+            ? getPlistKeyPaths(value, prefix.concat(key))
+            : [prefix.concat(key).join(':')];
+    });
+}
+
+function mergePlistValues (target, values) {
+    Object.keys(values).forEach(key => {
+        if (isPlistDict(values[key]) && isPlistDict(target[key])) {
+            mergePlistValues(target[key], values[key]);
+        } else {
+            target[key] = values[key];
+        }
+    });
+}
+
+function removePlistKeyPath (target, keyPath) {
+    const [key, ...rest] = keyPath;
+    if (!(key in target)) {
+        return;
+    }
+
+    if (rest.length === 0) {
+        delete target[key];
+    } else if (isPlistDict(target[key])) {
+        removePlistKeyPath(target[key], rest);
+
+        // Don't leave behind a dictionary that only held managed keys
+        if (Object.keys(target[key]).length === 0) {
+            delete target[key];
+        }
+    }
+}
+
+/**
+ * Writes the <locales> and the localized <usage-description> strings of
+ * config.xml into <locale>.lproj/InfoPlist.strings files. Each declared locale
+ * gets a localized CFBundleDisplayName.
+ *
+ * @param {PlatformConfigParser} platformConfig - The project's config.xml.
+ * @param {Object} locations - The locations object of the platform project.
+ */
+function updateLocalizations (platformConfig, locations) {
+    const stringsByLocale = {};
+
+    platformConfig.getLocales().forEach(locale => {
+        stringsByLocale[locale.name] = { CFBundleDisplayName: locale.displayName };
+    });
+
+    const usageDescriptions = platformConfig.getUsageDescriptions();
+    Object.keys(usageDescriptions).forEach(locale => {
+        stringsByLocale[locale] = Object.assign(stringsByLocale[locale] || {}, usageDescriptions[locale]);
+    });
+
+    writeInfoPlistStrings(stringsByLocale, locations);
+}
+
+/**
+ * Writes an InfoPlist.strings file per locale into the Resources folder,
+ * registers them in the InfoPlist.strings variant group of the Xcode project
+ * and lists the locales in knownRegions and CFBundleLocalizations. The variant
+ * group holds the locales that were written before, which are removed when no
+ * longer given.
+ *
+ * @param {Object} stringsByLocale - The strings of each locale, by key.
+ * @param {Object} locations - The locations object of the platform project.
+ */
+function writeInfoPlistStrings (stringsByLocale, locations) {
+    const project = projectFile.parse(locations);
+    const xcode = project.xcode;
+    const locales = Object.keys(stringsByLocale);
+
+    let groupKey = xcode.findPBXVariantGroupKey({ name: INFOPLIST_STRINGS_FILENAME });
+    if (!groupKey && locales.length === 0) {
+        return;
+    }
+    if (!groupKey) {
+        groupKey = addInfoPlistStringsGroup(xcode);
+    }
+
+    const group = xcode.getPBXVariantGroupByKey(groupKey);
+    const previousLocales = group.children.map(child => child.comment);
+    const developmentRegion = xcode.getFirstProject().firstProject.developmentRegion;
+
+    previousLocales
+        .filter(locale => !locales.includes(locale))
+        .forEach(locale => {
+            const lprojDir = path.join(project.resources_dir, `${locale}.lproj`);
+            events.emit('verbose', `Removing ${path.join(lprojDir, INFOPLIST_STRINGS_FILENAME)}`);
+            fs.rmSync(path.join(lprojDir, INFOPLIST_STRINGS_FILENAME), { force: true });
+            if (fs.existsSync(lprojDir) && fs.readdirSync(lprojDir).length === 0) {
+                fs.rmdirSync(lprojDir);
+            }
+
+            const child = group.children.find(child => child.comment === locale);
+            group.children.splice(group.children.indexOf(child), 1);
+            delete xcode.pbxFileReferenceSection()[child.value];
+            delete xcode.pbxFileReferenceSection()[`${child.value}_comment`];
+
+            if (![developmentRegion, 'Base'].includes(locale)) {
+                xcode.removeKnownRegion(locale);
+            }
+        });
+
+    locales.forEach(locale => {
+        const lprojDir = path.join(project.resources_dir, `${locale}.lproj`);
+        fs.mkdirSync(lprojDir, { recursive: true });
+        fs.writeFileSync(path.join(lprojDir, INFOPLIST_STRINGS_FILENAME), buildStringsFile(stringsByLocale[locale]), 'utf-8');
+
+        if (!previousLocales.includes(locale)) {
+            const fileRef = xcode.generateUuid();
+            xcode.pbxFileReferenceSection()[fileRef] = {
+                isa: 'PBXFileReference',
+                lastKnownFileType: 'text.plist.strings',
+                name: `"${locale}"`,
+                path: `"${locale}.lproj/${INFOPLIST_STRINGS_FILENAME}"`,
+                sourceTree: '"<group>"'
+            };
+            xcode.pbxFileReferenceSection()[`${fileRef}_comment`] = locale;
+            group.children.push({ value: fileRef, comment: locale });
+        }
+        xcode.addKnownRegion(locale);
+    });
+
+    if (locales.length === 0) {
+        removeInfoPlistStringsGroup(xcode, groupKey);
+    }
+    project.write();
+
+    updateBundleLocalizations(locations, previousLocales, locales, developmentRegion);
+}
+
+function addInfoPlistStringsGroup (xcode) {
+    const groupKey = xcode.pbxCreateVariantGroup(INFOPLIST_STRINGS_FILENAME);
+    xcode.addToPbxGroup(groupKey, xcode.findPBXGroupKey({ path: 'Resources' }));
+
+    const buildFile = { uuid: xcode.generateUuid(), fileRef: groupKey, basename: INFOPLIST_STRINGS_FILENAME, group: 'Resources' };
+    xcode.addToPbxBuildFileSection(buildFile);
+    xcode.addToPbxResourcesBuildPhase(buildFile);
+
+    return groupKey;
+}
+
+function removeInfoPlistStringsGroup (xcode, groupKey) {
+    const buildFileSection = xcode.pbxBuildFileSection();
+    const buildFileKey = Object.keys(buildFileSection).find(key => buildFileSection[key].fileRef === groupKey);
+    const resourcesPhase = xcode.pbxResourcesBuildPhaseObj();
+
+    resourcesPhase.files = resourcesPhase.files.filter(file => file.value !== buildFileKey);
+    delete buildFileSection[buildFileKey];
+    delete buildFileSection[`${buildFileKey}_comment`];
+
+    const groups = xcode.hash.project.objects.PBXGroup;
+    Object.keys(groups)
+        .filter(key => groups[key].children)
+        .forEach(key => {
+            groups[key].children = groups[key].children.filter(child => child.value !== groupKey);
+        });
+
+    delete xcode.hash.project.objects.PBXVariantGroup[groupKey];
+    delete xcode.hash.project.objects.PBXVariantGroup[`${groupKey}_comment`];
+}
+
+function buildStringsFile (strings) {
+    const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+    return Object.keys(strings)
+        .map(key => `${quote(key)} = ${quote(strings[key])};\n`)
+        .join('');
+}
+
+/**
+ * Replaces the previously written locales of CFBundleLocalizations with the
+ * given ones. The development region is listed as well, so that the app
+ * isn't considered to be available in the added locales only.
+ */
+function updateBundleLocalizations (locations, previousLocales, locales, projectDevelopmentRegion) {
+    const infoPlistFile = path.join(locations.xcodeCordovaProj, 'App-Info.plist');
+    const infoPlist = plist.parse(fs.readFileSync(infoPlistFile, 'utf8'));
+    const developmentRegion = infoPlist.CFBundleDevelopmentRegion || projectDevelopmentRegion;
+
+    const withDevelopmentRegion = list => list.length > 0 && developmentRegion ? [developmentRegion].concat(list) : list;
+    const removed = withDevelopmentRegion(previousLocales);
+    const localizations = (infoPlist.CFBundleLocalizations || []).filter(locale => !removed.includes(locale));
+    withDevelopmentRegion(locales)
+        .filter(locale => !localizations.includes(locale))
+        .forEach(locale => localizations.push(locale));
+
+    if (localizations.length > 0) {
+        infoPlist.CFBundleLocalizations = localizations;
+    } else {
+        delete infoPlist.CFBundleLocalizations;
+    }
+
+    fs.writeFileSync(infoPlistFile, plist.build(infoPlist, { indent: '\t', offset: -1 }), 'utf-8');
+}
+
+function readManagedPlistKeys (locations, fileName = MANAGED_PLIST_KEYS_FILENAME) {
+    const managedKeysFile = path.join(locations.root, 'cordova', fileName);
+    return fs.existsSync(managedKeysFile) ? JSON.parse(fs.readFileSync(managedKeysFile, 'utf8')) : {};
+}
+
+function writeManagedPlistKeys (locations, managedKeys, fileName = MANAGED_PLIST_KEYS_FILENAME) {
+    const managedKeysFile = path.join(locations.root, 'cordova', fileName);
+    const contents = JSON.stringify(removeEmptyEntries(managedKeys), null, 4);
+    const previousContents = fs.existsSync(managedKeysFile) ? fs.readFileSync(managedKeysFile, 'utf8') : '{}';
+
+    // The file is only touched when the managed keys changed
+    if (contents !== previousContents) {
+        fs.writeFileSync(managedKeysFile, contents, 'utf-8');
+    }
+}
+
+function removeEmptyEntries (managedKeys) {
+    return Object.keys(managedKeys).reduce((result, key) => {
+        const value = isPlistDict(managedKeys[key]) ? removeEmptyEntries(managedKeys[key]) : managedKeys[key];
+        if ((Array.isArray(value) ? value : Object.keys(value)).length > 0) {
+            result[key] = value;
+        }
+        return result;
+    }, {});
+}
+
 /**
  * Updates config files in project based on app's config.xml and config munge,
  *   generated by plugins.
@@ -217,7 +689,7 @@ function cleanWww (projectRoot, locations) {
  *   be used to update project
  * @param   {Object}  locations       A map of locations for this platform (In/Out)
  */
-function updateProject (platformConfig, locations) {
+function updateProject (platformConfig, locations, buildOptions) {
     const plistFile = path.join(locations.xcodeCordovaProj, 'App-Info.plist');
     const infoPlist = plist.parse(fs.readFileSync(plistFile, 'utf8'));
 
@@ -239,7 +711,7 @@ function updateProject (platformConfig, locations) {
     info_contents = info_contents.replace(/<string>[\s\r\n]*<\/string>/g, '<string></string>');
     fs.writeFileSync(plistFile, info_contents, 'utf-8');
 
-    return handleBuildSettings(platformConfig, locations, infoPlist);
+    return handleBuildSettings(platformConfig, locations, infoPlist, buildOptions);
 }
 
 function handleOrientationSettings (platformConfig, project) {
@@ -280,7 +752,7 @@ function handleOrientationSettings (platformConfig, project) {
     }
 }
 
-function handleBuildSettings (platformConfig, locations, infoPlist) {
+function handleBuildSettings (platformConfig, locations, infoPlist, buildOptions) {
     let project;
 
     try {
@@ -293,7 +765,12 @@ function handleBuildSettings (platformConfig, locations, infoPlist) {
     const name = platformConfig.name().normalize('NFD');
     const version = platformConfig.version();
     const displayName = platformConfig.shortName();
-    const CFBundleVersion = platformConfig.getAttribute('ios-CFBundleVersion') || default_CFBundleVersion(version);
+    let CFBundleVersion;
+    try {
+        CFBundleVersion = getCFBundleVersion(platformConfig, locations, version, buildOptions);
+    } catch (err) {
+        return Promise.reject(err);
+    }
 
     events.emit('verbose', `Set PRODUCT_BUNDLE_IDENTIFIER to ${pkg}.`);
     project.xcode.updateBuildProperty('PRODUCT_BUNDLE_IDENTIFIER', `"${pkg}"`, null, 'App');
@@ -1410,6 +1887,90 @@ function default_CFBundleVersion (version) {
     return version.split('-')[0];
 }
 
+/**
+ * Determines the CFBundleVersion (CURRENT_PROJECT_VERSION) of the app. An
+ *   explicit ios-CFBundleVersion attribute always wins, otherwise the
+ *   BuildNumberStrategy preference is applied:
+ *
+ *   - timestamp: the current UTC time as YYYYMMDDHHmmss
+ *   - git: the number of commits in the current branch
+ *   - env:NAME: the value of the NAME environment variable
+ *   - increment: a counter stored in the platform's cordova directory, that
+ *     is incremented when preparing a release or device build. Debug
+ *     simulator runs keep the last build number, so that the Xcode project
+ *     doesn't change and the app doesn't need to be rebuilt.
+ *
+ *   The timestamp strategy changes the Xcode project on every prepare, so the
+ *   app is always rebuilt.
+ *
+ * @param  {ConfigParser}  platformConfig  A project's configuration
+ * @param  {Object}        locations       A map of locations for this platform
+ * @param  {String}        version         The app's version
+ * @param  {Object}        [buildOptions]  The platform options of the CLI
+ *   command, e.g. release
+ * @return {String}
+ */
+function getCFBundleVersion (platformConfig, locations, version, buildOptions = {}) {
+    const explicitVersion = platformConfig.getAttribute('ios-CFBundleVersion');
+    const strategy = platformConfig.getPreference('BuildNumberStrategy', 'ios');
+
+    if (explicitVersion || !strategy) {
+        if (explicitVersion && strategy) {
+            events.emit('warn', `Ignoring BuildNumberStrategy preference because ios-CFBundleVersion is set to ${explicitVersion}.`);
+        }
+        return explicitVersion || default_CFBundleVersion(version);
+    }
+
+    const [mode, envName] = strategy.split(':');
+    let buildNumber;
+
+    switch (mode.toLowerCase()) {
+    case 'timestamp':
+        buildNumber = new Date().toISOString().replace(/\D/g, '').substring(0, 14);
+        break;
+    case 'git':
+        try {
+            buildNumber = execa.sync('git', ['rev-list', '--count', 'HEAD'], { cwd: locations.root }).stdout.trim();
+        } catch (err) {
+            throw new CordovaError(`Could not count the git commits for BuildNumberStrategy "git": ${err.message}`);
+        }
+        break;
+    case 'env':
+        if (!envName) {
+            throw new CordovaError('BuildNumberStrategy "env" requires a variable name, e.g. "env:BUILD_NUMBER".');
+        }
+        buildNumber = process.env[envName];
+        if (!buildNumber) {
+            throw new CordovaError(`Environment variable "${envName}" used by BuildNumberStrategy is not set.`);
+        }
+        break;
+    case 'increment': {
+        const buildNumberFile = path.join(locations.root, 'cordova', BUILD_NUMBER_FILENAME);
+        let previous = 0;
+        if (fs.existsSync(buildNumberFile)) {
+            previous = parseInt(JSON.parse(fs.readFileSync(buildNumberFile, 'utf8')).buildNumber, 10) || 0;
+        }
+        if (previous > 0 && !buildOptions.release && !buildOptions.device) {
+            buildNumber = String(previous);
+            break;
+        }
+        buildNumber = String(previous + 1);
+        fs.writeFileSync(buildNumberFile, JSON.stringify({ buildNumber: previous + 1 }, null, 4), 'utf-8');
+        break;
+    }
+    default:
+        events.emit('warn', `Unrecognized value for BuildNumberStrategy preference: ${strategy}. Defaulting to the app version.`);
+        return default_CFBundleVersion(version);
+    }
+
+    if (!/^\d+(\.\d+){0,2}$/.test(buildNumber)) {
+        throw new CordovaError(`BuildNumberStrategy "${strategy}" produced an invalid CFBundleVersion: ${buildNumber}`);
+    }
+
+    events.emit('verbose', `BuildNumberStrategy "${strategy}" produced build number ${buildNumber}.`);
+    return buildNumber;
+}
+
 // Converts cordova specific representation of target device to XCode value
 function parseTargetDevicePreference (value) {
     if (!value) return null;
@@ -0,0 +1,269 @@
+/*
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+        http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const execa = require('execa');
+const plist = require('plist');
+const { CordovaError, events } = require('cordova-common');
+
+// Folders where Xcode installs provisioning profiles
+const DEFAULT_SEARCH_PATHS = [
+    path.join(os.homedir(), 'Library', 'MobileDevice', 'Provisioning Profiles'),
+    path.join(os.homedir(), 'Library', 'Developer', 'Xcode', 'UserData', 'Provisioning Profiles')
+];
+
+// Generic identity names that Xcode still accepts for the certificate types
+// that replaced them
+const LEGACY_IDENTITY_NAMES = {
+    'iPhone Developer': 'Apple Development',
+    'iOS Development': 'Apple Development',
+    'iPhone Distribution': 'Apple Distribution',
+    'iOS Distribution': 'Apple Distribution'
+};
+
+// Entitlements that an app can use without the profile granting them, such as
+// the App Sandbox and the other macOS security entitlements
+const UNPROVISIONED_ENTITLEMENTS = /^com\.apple\.security\./;
+
+/**
+ * Parses a .mobileprovision (or macOS .provisionprofile) file.
+ *
+ * The file is a CMS signed message that embeds the profile as an XML plist,
+ * which is extracted without verifying the signature.
+ *
+ * @param {string} filePath Path to the .mobileprovision file
+ * @returns {object} The profile
+ */
+function parse (filePath) {
+    const contents = fs.readFileSync(filePath).toString('latin1');
+    const start = contents.indexOf('<?xml');
+    const end = contents.indexOf('</plist>', start);
+
+    if (start < 0 || end < 0) {
+        throw new CordovaError(`${filePath} is not a valid provisioning profile.`);
+    }
+
+    const data = plist.parse(Buffer.from(contents.slice(start, end + '</plist>'.length), 'latin1').toString('utf-8'));
+    const entitlements = data.Entitlements || {};
+
+    return {
+        path: filePath,
+        uuid: data.UUID,
+        name: data.Name,
+        teamIdentifiers: data.TeamIdentifier || [],
+        applicationIdentifier: entitlements['application-identifier'] || '',
+        applicationIdentifierPrefixes: data.ApplicationIdentifierPrefix || [],
+        expirationDate: data.ExpirationDate,
+        entitlements,
+        certificateFingerprints: (data.DeveloperCertificates || [])
+            .map(certificate => crypto.createHash('sha1').update(certificate).digest('hex').toUpperCase())
+    };
+}
+
+/**
+ * Parses all provisioning profiles found in the given folders and files.
+ * Files that can't be parsed are skipped.
+ *
+ * @param {string[]} [searchPaths] Folders and profile files
+ * @returns {object[]} The profiles
+ */
+function findProfiles (searchPaths = DEFAULT_SEARCH_PATHS) {
+    return searchPaths
+        .flatMap(searchPath => {
+            if (!fs.existsSync(searchPath)) {
+                return [];
+            }
+
+            if (!fs.statSync(searchPath).isDirectory()) {
+                return [searchPath];
+            }
+
+            return fs.readdirSync(searchPath)
+                .filter(file => ['.mobileprovision', '.provisionprofile'].includes(path.extname(file)))
+                .map(file => path.join(searchPath, file));
+        })
+        .map(file => {
+            try {
+                return parse(file);
+            } catch (err) {
+                events.emit('verbose', `Skipping provisioning profile ${file}: ${err.message}`);
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Finds the provisioning profile that Xcode would use for a
+ * PROVISIONING_PROFILE_SPECIFIER, which can be a profile UUID or name.
+ *
+ * @param {string} specifier UUID or name of the profile
+ * @param {string[]} [searchPaths] Folders and profile files
+ * @returns {object|null} The profile
+ */
+function findProfile (specifier, searchPaths) {
+    return findProfiles(searchPaths)
+        .find(profile => profile.uuid === specifier || profile.name === specifier) || null;
+}
+
+/**
+ * Checks that a provisioning profile can sign the app.
+ *
+ * @param {object} profile The parsed profile
+ * @param {object} requirements
+ * @param {string} requirements.bundleIdentifier The app's bundle identifier
+ * @param {string} [requirements.developmentTeam] The requested team ID
+ * @param {object} [requirements.entitlements] The app's entitlements, the
+ *   ones that don't need a profile, such as the App Sandbox, are not checked
+ * @param {string[]} [requirements.certificateFingerprints] SHA-1 fingerprints
+ *   of the signing certificates that may be used, one of which must be
+ *   included in the profile
+ * @param {Date} [requirements.now] Defaults to the current date
+ * @returns {string[]} The problems found, empty if the profile is valid
+ */
+function validate (profile, requirements) {
+    const problems = [];
+    const now = requirements.now || new Date();
+
+    const prefix = profile.applicationIdentifierPrefixes.find(p => profile.applicationIdentifier.startsWith(`${p}.`)) ||
+        profile.applicationIdentifier.split('.')[0];
+    const appIdPattern = profile.applicationIdentifier.slice(prefix.length + 1);
+    if (!matchesAppId(appIdPattern, requirements.bundleIdentifier)) {
+        problems.push(`its application identifier "${profile.applicationIdentifier}" does not match the bundle identifier "${requirements.bundleIdentifier}"`);
+    }
+
+    if (requirements.developmentTeam && !profile.teamIdentifiers.includes(requirements.developmentTeam)) {
+        problems.push(`it belongs to team ${profile.teamIdentifiers.join(', ')}, not to the development team ${requirements.developmentTeam}`);
+    }
+
+    if (profile.expirationDate && profile.expirationDate < now) {
+        problems.push(`it expired on ${profile.expirationDate.toISOString()}`);
+    }
+
+    Object.keys(requirements.entitlements || {})
+        .filter(key => !UNPROVISIONED_ENTITLEMENTS.test(key) && !(key in profile.entitlements))
+        .forEach(key => problems.push(`it does not include the "${key}" entitlement`));
+
+    const fingerprints = requirements.certificateFingerprints;
+    if (fingerprints && !fingerprints.some(fingerprint => profile.certificateFingerprints.includes(fingerprint.toUpperCase()))) {
+        problems.push('it does not include the signing certificate');
+    }
+
+    return problems;
+}
+
+function matchesAppId (pattern, bundleIdentifier) {
+    if (!pattern.endsWith('*')) {
+        return pattern === bundleIdentifier;
+    }
+
+    return bundleIdentifier.startsWith(pattern.slice(0, -1));
+}
+
+/**
+ * Returns the SHA-1 fingerprints of the installed code signing identities
+ * that match the CODE_SIGN_IDENTITY, which can be a fingerprint, a full
+ * certificate name or a prefix such as "Apple Distribution". The legacy
+ * prefixes, such as "iPhone Distribution", also match the certificates that
+ * replaced them.
+ *
+ * @param {string} codeSignIdentity
+ * @returns {string[]|null} The fingerprints, or null if the keychain can't be
+ *   queried
+ */
+function getSigningCertificateFingerprints (codeSignIdentity) {
+    if (/^[0-9a-f]{40}$/i.test(codeSignIdentity)) {
+        return [codeSignIdentity];
+    }
+
+    let stdout;
+    try {
+        ({ stdout } = execa.sync('security', ['find-identity', '-v', '-p', 'codesigning']));
+    } catch (err) {
+        events.emit('verbose', `Could not list the code signing identities: ${err.message}`);
+        return null;
+    }
+
+    const prefixes = [codeSignIdentity, LEGACY_IDENTITY_NAMES[codeSignIdentity]].filter(Boolean);
+
+    return stdout.split('\n')
+        .map(line => /^\s*\d+\) ([0-9A-F]{40}) "(.*)"/.exec(line))
+        .filter(match => match && prefixes.some(prefix => match[2].startsWith(prefix)))
+        .map(match => match[1]);
+}
+
+/**
+ * Checks the provisioning profiles requested by the build options before
+ * anything is built.
+ *
+ * @param {object} buildOpts The parsed build options
+ * @param {object} app
+ * @param {string} app.bundleIdentifier The app's bundle identifier
+ * @param {object} [app.entitlements] The app's entitlements
+ * @throws {CordovaError} When a profile is missing or can't sign the app
+ */
+function check (buildOpts, app) {
+    const specifiers = typeof buildOpts.provisioningProfile === 'string'
+        ? { [app.bundleIdentifier]: buildOpts.provisioningProfile }
+        : buildOpts.provisioningProfile;
+    const searchPaths = buildOpts.provisioningProfilePath ? [].concat(buildOpts.provisioningProfilePath) : DEFAULT_SEARCH_PATHS;
+    const certificateFingerprints = buildOpts.codeSignIdentity
+        ? getSigningCertificateFingerprints(buildOpts.codeSignIdentity)
+        : null;
+
+    if (certificateFingerprints && certificateFingerprints.length === 0) {
+        throw new CordovaError(`No code signing identity matching "${buildOpts.codeSignIdentity}" is installed in the keychain.`);
+    }
+
+    Object.keys(specifiers).forEach(bundleIdentifier => {
+        const specifier = specifiers[bundleIdentifier];
+        const profile = findProfile(specifier, searchPaths);
+
+        if (!profile) {
+            throw new CordovaError(`Provisioning profile "${specifier}" was not found in:\n\t${searchPaths.join('\n\t')}`);
+        }
+
+        const problems = validate(profile, {
+            bundleIdentifier,
+            developmentTeam: buildOpts.developmentTeam,
+            // Extensions have their own entitlements, only the app's are known here
+            entitlements: bundleIdentifier === app.bundleIdentifier ? app.entitlements : null,
+            certificateFingerprints
+        });
+
+        if (problems.length > 0) {
+            throw new CordovaError(`Provisioning profile "${profile.name}" (${profile.path}) can't be used to sign ${bundleIdentifier}:\n\t- ${problems.join('\n\t- ')}`);
+        }
+
+        events.emit('verbose', `Provisioning profile "${profile.name}" is valid for ${bundleIdentifier}.`);
+    });
+}
+
+module.exports = {
+    DEFAULT_SEARCH_PATHS,
+    parse,
+    findProfiles,
+    findProfile,
+    validate,
+    getSigningCertificateFingerprints,
+    check
+};
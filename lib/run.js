@@ -19,7 +19,10 @@
 
 const fs = require('node:fs');
 const path = require('node:path');
+const readline = require('node:readline');
+const { styleText } = require('node:util');
 const bplist = require('bplist-parser');
+const nopt = require('nopt');
 const plist = require('plist');
 const execa = require('execa');
 const { CordovaError, events } = require('cordova-common');
@@ -28,11 +31,25 @@ const check_reqs = require('./check_reqs');
 const projectFile = require('./projectFile');
 
 const {
-    getDeviceFromDeviceTypeId,
-    startSimulator
+    findBootedDevice,
+    getDevice,
+    startSimulator,
+    streamLogs
 } = require('./simctlHelper');
 
-/** @returns {Promise<void>} */
+// Colors of the CDVLogger levels in streamed logs
+const LOG_LEVEL_STYLES = {
+    ERROR: 'red',
+    WARN: 'yellow',
+    INFO: 'cyan',
+    DEBUG: 'gray'
+};
+
+/**
+ * @returns {Promise<Object|undefined>} Resolves with the launched app when
+ *   running on a simulator (see startSim), with the build plan for dry runs,
+ *   and with undefined when running on a device or on macOS.
+ */
 module.exports.run = function (runOptions) {
     const projectPath = this.root;
     const locations = this.locations;
@@ -50,9 +67,33 @@ module.exports.run = function (runOptions) {
         return module.exports.listDevices().then(() => module.exports.listEmulators());
     }
 
+    // build.run replaces runOptions.argv with its own parsed options
+    if (Array.isArray(runOptions.argv)) {
+        const args = nopt({
+            createSimulator: Boolean,
+            launchArg: [String, Array],
+            launchEnv: [String, Array],
+            watchLogs: Boolean
+        }, {}, runOptions.argv, 0);
+        runOptions.createSimulator = args.createSimulator || runOptions.createSimulator;
+        runOptions.watchLogs = args.watchLogs || runOptions.watchLogs;
+        runOptions.launchArg = args.launchArg || runOptions.launchArg;
+        runOptions.launchEnv = args.launchEnv || runOptions.launchEnv;
+    }
+
+    let launchOptions;
+    try {
+        launchOptions = {
+            launchArgs: [].concat(runOptions.launchArg || []),
+            launchEnv: parseLaunchEnv(runOptions.launchEnv)
+        };
+    } catch (err) {
+        return Promise.reject(err);
+    }
+    const simOptions = { createSimulator: !!runOptions.createSimulator, watchLogs: !!runOptions.watchLogs, ...launchOptions };
+
     const useCatalyst = runOptions.target && runOptions.target.match(/mac/i);
     let useDevice = !!runOptions.device && !useCatalyst;
-    const configuration = runOptions.release ? 'Release' : 'Debug';
 
     return Promise.resolve()
         .then(() => {
@@ -73,75 +114,98 @@ module.exports.run = function (runOptions) {
             if (!runOptions.nobuild) {
                 return build.run.call(this, runOptions);
             }
-        })
-        .then(() => {
-            try {
-                const project = projectFile.parse(locations);
 
-                return project.xcode.getBuildProperty('PRODUCT_NAME', undefined, 'App').replace(/^"/, '').replace(/"$/, '');
-            } catch (err) {
-                return Promise.reject(new CordovaError(`Could not parse ${locations.pbxproj}: ${err}`));
-            }
+            // resolves the build profile and the scheme like a build does
+            return build.resolveOptions.call(this, runOptions).then(() => {});
         })
-        .then(productName => {
-            // select command to run and arguments depending whether
-            // we're running on device/catalyst/emulator
-            if (useDevice) {
-                const buildOutputDir = path.join(projectPath, 'build', `${configuration}-iphoneos`);
-                const appPath = path.join(buildOutputDir, `${productName}.app`);
-
-                return module.exports.checkDeviceConnected()
-                    .then(() => {
-                        // Unpack IPA
-                        const ipafile = path.join(buildOutputDir, `${productName}.ipa`);
-
-                        // unpack the existing platform/ios/build/device/appname.ipa (zipfile), will create a Payload folder
-                        return execa('unzip', ['-o', '-qq', ipafile], { cwd: buildOutputDir, stdio: 'inherit' });
-                    })
-                    .then(() => {
-                        // Uncompress IPA (zip file)
-                        const appFileInflated = path.join(buildOutputDir, 'Payload', `${productName}.app`);
-                        const payloadFolder = path.join(buildOutputDir, 'Payload');
-
-                        // delete the existing platform/ios/build/device/appname.app
-                        fs.rmSync(appPath, { recursive: true, force: true });
-                        // move the platform/ios/build/device/Payload/appname.app to parent
-                        fs.renameSync(appFileInflated, appPath);
-                        // delete the platform/ios/build/device/Payload folder
-                        fs.rmSync(payloadFolder, { recursive: true, force: true });
-
-                        return null;
-                    })
-                    .then(
-                        () => {
-                            let extraArgs = [];
-                            if (runOptions.argv) {
-                                // argv.slice(2) removes node and run.js, filterSupportedArgs removes the run.js args
-                                extraArgs = module.exports.filterSupportedArgs(runOptions.argv.slice(2));
-                            }
-                            return module.exports.deployToDevice(appPath, runOptions.target, extraArgs);
-                        },
-                        // if device connection check failed use emulator then
-                        // This might fail due to being the wrong type of app bundle
-                        () => module.exports.deployToSim(appPath, runOptions.target)
-                    );
-            } else if (useCatalyst) {
-                const appPath = path.join(projectPath, 'build', `${configuration}-maccatalyst`, `${productName}.app`);
-                return module.exports.deployToMac(appPath);
-            } else {
-                const appPath = path.join(projectPath, 'build', `${configuration}-iphonesimulator`, `${productName}.app`);
-                return module.exports.deployToSim(appPath, runOptions.target);
+        .then(buildResult => {
+            if (runOptions.dryRun) {
+                events.emit('log', 'Dry run, the app will not be deployed.');
+                return buildResult;
             }
-        })
-        .then(() => {}); // resolve to undefined
+
+            return Promise.resolve()
+                .then(() => {
+                    try {
+                        const project = projectFile.parse(locations);
+                        // the build options resolve the scheme into runOptions.xcodeTarget
+                        const target = runOptions.xcodeTarget || 'App';
+
+                        return project.xcode.getBuildProperty('PRODUCT_NAME', undefined, target).replace(/^"/, '').replace(/"$/, '').replace('$(TARGET_NAME)', target);
+                    } catch (err) {
+                        return Promise.reject(new CordovaError(`Could not parse ${locations.pbxproj}: ${err}`));
+                    }
+                })
+                .then(productName => {
+                    // the build options resolve the build profile into runOptions.configuration
+                    const configuration = build.getConfiguration(runOptions);
+
+                    // select command to run and arguments depending whether
+                    // we're running on device/catalyst/emulator
+                    if (useDevice) {
+                        const buildOutputDir = path.join(projectPath, 'build', `${configuration}-iphoneos`);
+                        const appPath = path.join(buildOutputDir, `${productName}.app`);
+
+                        if (runOptions.watchLogs) {
+                            events.emit('warn', 'The watchLogs option is only supported on simulators.');
+                        }
+
+                        return module.exports.checkDeviceConnected()
+                            .then(() => {
+                                // Unpack IPA
+                                const ipafile = path.join(buildOutputDir, `${productName}.ipa`);
+
+                                // unpack the existing platform/ios/build/device/appname.ipa (zipfile), will create a Payload folder
+                                return execa('unzip', ['-o', '-qq', ipafile], { cwd: buildOutputDir, stdio: 'inherit' });
+                            })
+                            .then(() => {
+                                // Uncompress IPA (zip file)
+                                const appFileInflated = path.join(buildOutputDir, 'Payload', `${productName}.app`);
+                                const payloadFolder = path.join(buildOutputDir, 'Payload');
+
+                                // delete the existing platform/ios/build/device/appname.app
+                                fs.rmSync(appPath, { recursive: true, force: true });
+                                // move the platform/ios/build/device/Payload/appname.app to parent
+                                fs.renameSync(appFileInflated, appPath);
+                                // delete the platform/ios/build/device/Payload folder
+                                fs.rmSync(payloadFolder, { recursive: true, force: true });
+
+                                return null;
+                            })
+                            .then(
+                                () => {
+                                    let extraArgs = [];
+                                    if (runOptions.argv) {
+                                        // argv.slice(2) removes node and run.js, filterSupportedArgs removes the run.js args
+                                        extraArgs = module.exports.filterSupportedArgs(runOptions.argv.slice(2));
+                                    }
+                                    return module.exports.deployToDevice(appPath, runOptions.target, extraArgs, launchOptions)
+                                        .then(() => {}); // resolve to undefined
+                                },
+                                // if device connection check failed use emulator then
+                                // This might fail due to being the wrong type of app bundle
+                                () => module.exports.deployToSim(appPath, runOptions.target, simOptions)
+                            );
+                    } else if (useCatalyst) {
+                        const appPath = path.join(projectPath, 'build', `${configuration}-maccatalyst`, `${productName}.app`);
+                        return module.exports.deployToMac(appPath).then(() => {}); // resolve to undefined
+                    } else {
+                        const appPath = path.join(projectPath, 'build', `${configuration}-iphonesimulator`, `${productName}.app`);
+                        return module.exports.deployToSim(appPath, runOptions.target, simOptions);
+                    }
+                });
+        });
 };
 
 module.exports.filterSupportedArgs = filterSupportedArgs;
+module.exports.parseLaunchEnv = parseLaunchEnv;
 module.exports.checkDeviceConnected = checkDeviceConnected;
 module.exports.deployToDevice = deployToDevice;
 module.exports.deployToMac = deployToMac;
 module.exports.deployToSim = deployToSim;
+module.exports.resolveSimulatorTarget = resolveSimulatorTarget;
 module.exports.startSim = startSim;
+module.exports.watchLogs = watchLogs;
 module.exports.listDevices = listDevices;
 module.exports.listEmulators = listEmulators;
 module.exports.execListDevices = execListDevices;
@@ -154,20 +218,47 @@ module.exports.execListEmulatorImages = execListEmulatorImages;
  */
 function filterSupportedArgs (args) {
     const filtered = [];
-    const sargs = ['--device', '--emulator', '--nobuild', '--list', '--target', '--debug', '--release'];
+    const sargs = ['--device', '--emulator', '--nobuild', '--list', '--target', '--debug', '--release', '--createSimulator', '--launchArg', '--launchEnv', '--watchLogs'];
+    // args whose value can be given as the next argument
+    const valueArgs = ['--launchArg', '--launchEnv'];
     const re = new RegExp(sargs.join('|'));
 
-    args.forEach(element => {
+    for (let i = 0; i < args.length; i++) {
+        if (valueArgs.includes(args[i])) {
+            i++;
+            continue;
+        }
+
         // supported args not found, we add
         // we do a regex search because --target can be "--target=XXX"
-        if (element.search(re) === -1) {
-            filtered.push(element);
+        if (args[i].search(re) === -1) {
+            filtered.push(args[i]);
         }
-    }, this);
+    }
 
     return filtered;
 }
 
+/**
+ * Parses the --launchEnv values in the form KEY=VALUE.
+ *
+ * @param {String|String[]} [values]
+ * @return {Object} The environment variables
+ */
+function parseLaunchEnv (values) {
+    const env = {};
+
+    [].concat(values || []).forEach(value => {
+        const match = /^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/s.exec(value);
+        if (!match) {
+            throw new CordovaError(`Invalid --launchEnv "${value}", expected KEY=VALUE.`);
+        }
+        env[match[1]] = match[2];
+    });
+
+    return env;
+}
+
 /**
  * Checks if any iOS device is connected
  * @return {Promise} Fullfilled when any device is connected, rejected otherwise
@@ -180,9 +271,20 @@ function checkDeviceConnected () {
  * Deploy specified app package to connected device
  * using ios-deploy command
  * @param  {String} appPath Path to application package
+ * @param  {Object} [launchOptions]
+ * @param  {String[]} [launchOptions.launchArgs] Arguments passed to the app
+ * @param  {Object} [launchOptions.launchEnv] Environment variables of the app
  * @return {Promise}        Resolves when deploy succeeds otherwise rejects
  */
-function deployToDevice (appPath, target, extraArgs) {
+function deployToDevice (appPath, target, extraArgs, launchOptions = {}) {
+    const { launchArgs = [], launchEnv = {} } = launchOptions;
+
+    // ios-deploy splits the arguments and the environment on whitespace
+    const spacedValue = launchArgs.concat(Object.values(launchEnv)).find(value => /\s/.test(value));
+    if (spacedValue !== undefined) {
+        return Promise.reject(new CordovaError(`Launch arguments and environment values with whitespace are not supported on devices: "${spacedValue}"`));
+    }
+
     events.emit('log', 'Deploying to device');
     const args = ['--justlaunch', '-d', '-b', appPath];
     if (target) {
@@ -190,6 +292,14 @@ function deployToDevice (appPath, target, extraArgs) {
     } else {
         args.push('--no-wifi');
     }
+
+    if (launchArgs.length > 0) {
+        args.push('--args', launchArgs.join(' '));
+    }
+    if (Object.keys(launchEnv).length > 0) {
+        args.push('--envs', Object.entries(launchEnv).map(([key, value]) => `${key}=${value}`).join(' '));
+    }
+
     return execa('ios-deploy', args.concat(extraArgs), { stdio: 'inherit' });
 }
 
@@ -206,69 +316,156 @@ function deployToMac (appPath) {
 /**
  * Deploy specified app package to simctl simulator
  * @param  {String} appPath Path to application package
- * @param  {String} target  Target device type
- * @return {Promise}        Resolves when deploy succeeds otherwise rejects
+ * @param  {String} target  Simulator UDID, device name or device type
+ * @param  {Object} [options]
+ * @param  {Boolean} [options.createSimulator] Creates a new simulator of the
+ *   target device type
+ * @param  {Boolean} [options.watchLogs] Streams the app logs until stopped
+ * @param  {String[]} [options.launchArgs] Arguments passed to the app
+ * @param  {Object} [options.launchEnv] Environment variables of the app
+ * @return {Promise<Object>} Resolves with the result of startSim, rejects
+ *   with CordovaError
  */
-async function deployToSim (appPath, target) {
+async function deployToSim (appPath, target, options = {}) {
     events.emit('log', 'Deploying to simulator');
 
+    target = await module.exports.resolveSimulatorTarget(target, options);
+
+    return module.exports.startSim(appPath, target, options);
+}
+
+/**
+ * Picks the simulator to use when no target is given: a booted simulator if
+ * there is one, otherwise an iPhone simulator image.
+ *
+ * @param  {String} [target] Simulator UDID, device name or device type
+ * @param  {Object} [options]
+ * @param  {Boolean} [options.createSimulator] A device type is picked, as a
+ *   new simulator is created
+ * @return {Promise<String>} Resolves with the target
+ */
+async function resolveSimulatorTarget (target, options = {}) {
+    if (!target && !options.createSimulator) {
+        const bootedDevice = findBootedDevice();
+        if (bootedDevice) {
+            target = bootedDevice.id;
+            events.emit('log', `No target specified for emulator. Using the booted "${bootedDevice.name}" simulator.`);
+        }
+    }
+
     if (!target) {
         // Select target device for emulator (preferring iPhone Emulators)
         const emulators = await module.exports.execListEmulatorImages();
         const iPhoneEmus = emulators.filter(emulator => emulator.startsWith('iPhone'));
         target = iPhoneEmus.concat(emulators)[0];
-        events.emit('log', `No target specified for emulator. Deploying to "${target}" simulator.`);
+        events.emit('log', `No target specified for emulator. Using the "${target}" simulator.`);
     }
 
-    return module.exports.startSim(appPath, target);
+    return target;
 }
 
-async function startSim (appPath, target) {
+/**
+ * Installs and launches the app on a simulator.
+ *
+ * @param  {String} appPath Path to application package
+ * @param  {String} target  Simulator UDID, device name or device type
+ * @param  {Object} [options] The options of deployToSim
+ * @return {Promise<Object>} Resolves with the deviceId, appIdentifier, pid and
+ *   logPath of the launched app, once the app is launched or, with the
+ *   watchLogs option, once the log stream has stopped. Rejects with
+ *   CordovaError.
+ */
+async function startSim (appPath, target, options = {}) {
     const projectPath = path.join(path.dirname(appPath), '../..');
-    const logPath = path.join(projectPath, 'cordova/console.log');
-    const deviceTypeId = `com.apple.CoreSimulator.SimDeviceType.${target}`;
+    const logPath = path.resolve(projectPath, 'cordova/console.log');
+    const { launchArgs, launchEnv } = options;
+
+    const infoPlistPath = path.join(appPath, 'Info.plist');
+    if (!fs.existsSync(infoPlistPath)) {
+        throw new CordovaError(`Failed to launch simulator: ${infoPlistPath} file not found.`);
+    }
+
+    // The Info.plist of a built app is binary, but it might also be XML
+    const infoPlist = await bplist.parseFile(infoPlistPath)
+        .then(([obj]) => obj, () => plist.parse(fs.readFileSync(infoPlistPath, 'utf8')));
+    const appIdentifier = infoPlist.CFBundleIdentifier;
+
+    // the target is a simulator UDID, a device name, or a device type
+    // in the form "devicetype, runtime_version" (optional: runtime_version)
+    let device;
+    try {
+        device = getDevice(target, options);
+    } catch (e) {
+        throw new CordovaError(`Failed to find a simulator for "${target}": ${e.message}`);
+    }
 
+    // start streaming before the launch to include the startup logs
+    const logStream = options.watchLogs ? module.exports.watchLogs(device, infoPlist.CFBundleExecutable) : null;
+
+    let pid;
     try {
-        const infoPlistPath = path.join(appPath, 'Info.plist');
-        if (!fs.existsSync(infoPlistPath)) {
-            throw new Error(`${infoPlistPath} file not found.`);
+        ({ pid } = startSimulator(device, { appPath, appIdentifier, logPath, waitForDebugger: false, launchArgs, launchEnv }));
+    } catch (e) {
+        if (logStream) {
+            logStream.stop();
         }
+        throw new CordovaError(`Failed to start simulator with error: "${e.message}"`);
+    }
 
-        bplist.parseFile(infoPlistPath, function (err, obj) {
-            let appIdentifier;
-
-            if (err) {
-                obj = plist.parse(fs.readFileSync(infoPlistPath, 'utf8'));
-                if (obj) {
-                    appIdentifier = obj.CFBundleIdentifier;
-                } else {
-                    throw err;
-                }
-            } else {
-                appIdentifier = obj[0].CFBundleIdentifier;
-            }
+    events.emit('log', `Log Path: ${logPath}`);
 
-            // get the deviceid from --devicetypeid
-            // --devicetypeid is a string in the form "devicetype, runtime_version" (optional: runtime_version)
-            const device = getDeviceFromDeviceTypeId(deviceTypeId);
+    if (logStream) {
+        await logStream;
+    }
 
-            // so now we have the deviceid, we can proceed
-            try {
-                startSimulator(device, { appPath, appIdentifier, logPath, waitForDebugger: false });
-            } catch (e) {
-                events.emit('warn', `Failed to start simulator with error: "${e.message}"`);
-            }
+    return { deviceId: device.id, appIdentifier, pid, logPath };
+}
+
+/**
+ * Follows the logs of the app on a simulator and emits every line as a log
+ * event, until the log stream is stopped with Ctrl+C.
+ *
+ * @param  {Object} device The simulator
+ * @param  {String} processName The app's executable name
+ * @return {Promise} Resolves when the log stream has stopped, and has a stop
+ *   method to stop it
+ */
+function watchLogs (device, processName) {
+    events.emit('log', `Streaming the logs of ${processName}, press Ctrl+C to stop.`);
+
+    const child = streamLogs(device, processName);
+    readline.createInterface({ input: child.stdout }).on('line', line => emitLogLine(line));
 
-            if (logPath) {
-                events.emit('log', `Log Path: ${path.resolve(logPath)}`);
+    const stop = () => child.kill();
+    process.once('SIGINT', stop);
+
+    const stopped = child
+        .catch(err => {
+            if (!err.killed) {
+                events.emit('warn', `Streaming the simulator logs failed: ${err.shortMessage || err.message}`);
             }
+        })
+        .finally(() => process.removeListener('SIGINT', stop));
 
-            process.exit(0);
-        });
-    } catch (e) {
-        events.emit('warn', `Failed to launch simulator with error: ${e.message}`);
-        process.exit(1);
+    return Object.assign(stopped, { stop });
+}
+
+/**
+ * Emits a line of the compact log style, e.g.
+ * "2024-05-01 12:00:00.123 Df App[1234:5678] WARN: message". Messages of
+ * CDVLogger start with their level and are highlighted by it.
+ */
+function emitLogLine (line) {
+    // skip the header of log stream
+    if (!/^\d{4}-\d{2}-\d{2} /.test(line)) {
+        events.emit('verbose', line);
+        return;
     }
+
+    const match = /\] (ERROR|WARN|INFO|DEBUG): /.exec(line);
+    const useColors = process.stdout.isTTY && !process.env.NO_COLOR;
+
+    events.emit('log', match && useColors ? styleText(LOG_LEVEL_STYLES[match[1]], line) : line);
 }
 
 /* istanbul ignore next */
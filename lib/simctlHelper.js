@@ -17,6 +17,8 @@
     under the License.
 */
 
+const path = require('node:path');
+const execa = require('execa');
 const simctl = require('simctl');
 const { events } = require('cordova-common');
 
@@ -112,6 +114,13 @@ function findRuntimesGroupByDeviceProperty (list, deviceProperty, availableOnly,
  *
  * @param {object} device
  * @param {object} options
+ * @param {string} options.appPath
+ * @param {string} options.appIdentifier
+ * @param {string} options.logPath
+ * @param {boolean} [options.waitForDebugger]
+ * @param {string[]} [options.launchArgs] Arguments passed to the app
+ * @param {object} [options.launchEnv] Environment variables of the app
+ * @returns {object} The pid of the launched app
  */
 function startSimulator (device, options = {}) {
     if (!device?.id) {
@@ -136,11 +145,45 @@ function startSimulator (device, options = {}) {
 
     simctl.extensions.start(device.id);
     simctl.install(device.id, options.appPath);
-    simctl.launch(device.id, options.appIdentifier, [], {
-        waitForDebugger: options?.waitForDebugger ?? false,
-        stderr: options.logPath,
-        stdout: options.logPath
+
+    // simctl passes SIMCTL_CHILD_ prefixed variables on to the app
+    const env = {};
+    Object.entries(options.launchEnv || {}).forEach(([key, value]) => {
+        env[`SIMCTL_CHILD_${key}`] = value;
     });
+
+    const args = ['simctl', 'launch'];
+    if (options.waitForDebugger) {
+        args.push('--wait-for-debugger');
+    }
+    args.push(`--stdout=${options.logPath}`, `--stderr=${options.logPath}`);
+    args.push(device.id, options.appIdentifier, ...(options.launchArgs || []));
+
+    events.emit('verbose', `Launching ${options.appIdentifier} with: ${args.join(' ')}`);
+    const { stdout } = execa.sync('xcrun', args, { env });
+
+    // simctl prints "<appIdentifier>: <pid>"
+    const match = /:\s*(\d+)\s*$/.exec(stdout);
+    return { pid: match ? Number(match[1]) : null };
+}
+
+/**
+ * Follows the unified log of a process on the simulator.
+ *
+ * @param {object} device
+ * @param {string} processName The app's executable name
+ * @returns {object} The execa child process, which prints one line per message
+ */
+function streamLogs (device, processName) {
+    const args = [
+        'simctl', 'spawn', device.id, 'log', 'stream',
+        '--style', 'compact',
+        '--level', 'debug',
+        '--predicate', `process == "${processName}"`
+    ];
+
+    events.emit('verbose', `Streaming logs with: xcrun ${args.join(' ')}`);
+    return execa('xcrun', args, { buffer: false });
 }
 
 /**
@@ -224,6 +267,49 @@ function getDeviceFromDeviceTypeId (deviceTypeId = null) {
         return device;
     }
 
+    const { deviceName, runtime } = parseDeviceTypeId(list, deviceTypeId);
+
+    // Will try to locate the device id by runtime and device name
+    let deviceId = false;
+
+    for (const deviceGroup of Object.keys(list.devices)) {
+        const normalizedRuntimeName = fixRuntimeName(deviceGroup);
+
+        // Skip if runtime doesn't match
+        if (normalizedRuntimeName !== runtime) {
+            continue;
+        }
+
+        const targetName = filterDeviceName(deviceName).toLowerCase();
+        const devices = list.devices[deviceGroup].filter(device => {
+            const deviceName = filterDeviceName(device.name).toLowerCase();
+            return deviceName === targetName;
+        });
+        // Reuse a simulator that is already running
+        const device = devices.find(device => device.state === 'Booted') || devices[0];
+
+        if (device) {
+            deviceId = device.udid;
+            break;
+        }
+    }
+
+    if (!deviceId) {
+        throw new Error(`Device id for device name "${deviceName}" and runtime "${runtime}" could not be found, or is not available.`);
+    }
+
+    return { name: deviceName, id: deviceId, runtime };
+}
+
+/**
+ * Resolves a device type id in the form "devicetype, runtime_version", where
+ * the runtime version is optional and defaults to the most modern runtime.
+ *
+ * @param {object} list
+ * @param {string} deviceTypeId
+ * @returns {object} The device type identifier, its device name and the runtime
+ */
+function parseDeviceTypeId (list, deviceTypeId) {
     const [
         deviceTypeRaw = null,
         runtimeRaw = null
@@ -247,34 +333,237 @@ function getDeviceFromDeviceTypeId (deviceTypeId = null) {
         return rt.includes('iOS') ? rt : `iOS ${rt}`;
     })(runtimeRaw, deviceName);
 
-    // Will try to locate the device id by runtime and device name
-    let deviceId = false;
+    return { deviceType, deviceName, runtime };
+}
 
-    for (const deviceGroup of Object.keys(list.devices)) {
-        const normalizedRuntimeName = fixRuntimeName(deviceGroup);
+function compareRuntimeVersions (a, b) {
+    const versionA = a.replace(/^\D*/, '').split('.').map(Number);
+    const versionB = b.replace(/^\D*/, '').split('.').map(Number);
 
-        // Skip if runtime doesn't match
-        if (normalizedRuntimeName !== runtime) {
-            continue;
+    for (let i = 0; i < Math.max(versionA.length, versionB.length); i++) {
+        const difference = (versionA[i] || 0) - (versionB[i] || 0);
+        if (difference !== 0) {
+            return difference;
         }
+    }
 
-        const targetName = filterDeviceName(deviceName).toLowerCase();
-        const device = list.devices[deviceGroup].find(device => {
-            const deviceName = filterDeviceName(device.name).toLowerCase();
-            return deviceName === targetName;
-        });
+    return 0;
+}
+
+/**
+ * Lists the devices of all available runtimes.
+ *
+ * @param {object} list
+ * @returns {object[]} The devices with their name, id, normalized runtime and state
+ */
+function findAvailableDevices (list) {
+    const availableRuntimes = findAvailableRuntimes(list.runtimes);
+
+    return Object.entries(list.devices)
+        .map(([deviceGroup, devices]) => [fixRuntimeName(deviceGroup), devices])
+        .filter(([runtime]) => availableRuntimes.includes(runtime))
+        .flatMap(([runtime, devices]) => devices
+            .filter(device => device.isAvailable !== false)
+            .map(device => ({ name: device.name, id: device.udid, runtime, state: device.state })));
+}
+
+/**
+ * Finds a simulator by its UDID or by its device name, e.g. "iPhone 15".
+ * When several devices have the name, a booted device is preferred, then the
+ * most modern runtime.
+ *
+ * @param {object} list
+ * @param {string} target UDID or device name
+ * @returns {object|null}
+ */
+function findDevice (list, target) {
+    const targetName = filterDeviceName(target.trim()).toLowerCase();
+    const [device] = findAvailableDevices(list)
+        .filter(device => device.id.toLowerCase() === target.trim().toLowerCase() ||
+            filterDeviceName(device.name).toLowerCase() === targetName)
+        .sort((a, b) => (b.state === 'Booted') - (a.state === 'Booted') || compareRuntimeVersions(b.runtime, a.runtime));
+
+    return device ? { name: device.name, id: device.id, runtime: device.runtime } : null;
+}
+
+/**
+ * Finds an iOS simulator that is already booted.
+ *
+ * @returns {object|null}
+ */
+function findBootedDevice () {
+    const device = findAvailableDevices(fetchSimCtlList())
+        .find(device => device.state === 'Booted' && device.runtime.startsWith('iOS'));
 
+    return device ? { name: device.name, id: device.id, runtime: device.runtime } : null;
+}
+
+/**
+ * Creates a new simulator. The simulator that a previous run created for the
+ * same device type and runtime is erased and reused instead, so that they
+ * don't pile up.
+ *
+ * @param {string} deviceTypeId In the form "devicetype, runtime_version"
+ * @returns {object} The created device
+ */
+function createDevice (deviceTypeId) {
+    const list = fetchSimCtlList();
+    const { deviceType, deviceName, runtime } = parseDeviceTypeId(list, deviceTypeId);
+
+    const foundRuntime = list.runtimes.find(rt => rt.name === runtime && rt.isAvailable);
+    if (!foundRuntime) {
+        throw new Error(`Runtime "${runtime}" could not be found, or is not available.`);
+    }
+
+    const name = `${deviceName} (Cordova)`;
+    const previousDevice = findAvailableDevices(list).find(device => device.name === name && device.runtime === runtime);
+    if (previousDevice) {
+        const device = { name, id: previousDevice.id, runtime };
+        eraseDevice(device);
+        events.emit('log', `Erased simulator "${name}" (${device.id}) with ${runtime} to reuse it.`);
+        return device;
+    }
+
+    const result = simctl.create(name, deviceType, foundRuntime.identifier);
+    if (result.status !== 0) {
+        throw new Error(`Could not create a "${deviceName}" simulator: ${(result.stderr || '').trim()}`);
+    }
+
+    const device = { name, id: result.stdout.trim(), runtime };
+    events.emit('log', `Created simulator "${name}" (${device.id}) with ${runtime}.`);
+    return device;
+}
+
+/**
+ * Resolves the simulator to run on. The target can be a simulator UDID, a
+ * device name such as "iPhone 15", or a device type id such as
+ * "iPhone-15, 17.0". With the createSimulator option, a new device of the
+ * device type is created instead.
+ *
+ * @param {string} target
+ * @param {object} [options]
+ * @param {boolean} [options.createSimulator]
+ * @returns {object}
+ */
+function getDevice (target, options = {}) {
+    if (options.createSimulator) {
+        return createDevice(target);
+    }
+
+    if (target) {
+        const device = findDevice(fetchSimCtlList(), target);
         if (device) {
-            deviceId = device.udid;
-            break;
+            return device;
         }
     }
 
-    if (!deviceId) {
-        throw new Error(`Device id for device name "${deviceName}" and runtime "${runtime}" could not be found, or is not available.`);
+    return getDeviceFromDeviceTypeId(target);
+}
+
+/**
+ * Runs a simctl command, turning its failure into an error with the output of
+ * simctl.
+ *
+ * @param {string} description What the command does, for the error message
+ * @param {string[]} args The simctl arguments
+ * @param {object} [options] The execa options
+ * @returns {object} The execa result
+ */
+function execSimctl (description, args, options) {
+    events.emit('verbose', `Running: xcrun simctl ${args.join(' ')}`);
+
+    try {
+        return execa.sync('xcrun', ['simctl', ...args], options);
+    } catch (err) {
+        const error = new Error(`Could not ${description}: ${(err.stderr || err.shortMessage || err.message).trim()}`);
+        error.stderr = err.stderr;
+        throw error;
     }
+}
 
-    return { name: deviceName, id: deviceId, runtime };
+/**
+ * Boots a simulator and waits until it has finished booting. A simulator that
+ * is already booted is left as is.
+ *
+ * @param {object} device
+ */
+function bootDevice (device) {
+    execSimctl(`boot "${device.name}"`, ['bootstatus', device.id, '-b']);
+}
+
+/**
+ * Shuts a simulator down. A simulator that is already shut down is left as
+ * is.
+ *
+ * @param {object} device
+ */
+function shutdownDevice (device) {
+    try {
+        execSimctl(`shut down "${device.name}"`, ['shutdown', device.id]);
+    } catch (err) {
+        if (!/current state: Shutdown/.test(err.stderr)) {
+            throw err;
+        }
+    }
+}
+
+/**
+ * Erases all content and settings of a simulator, which is shut down first.
+ *
+ * @param {object} device
+ */
+function eraseDevice (device) {
+    shutdownDevice(device);
+    execSimctl(`erase "${device.name}"`, ['erase', device.id]);
+}
+
+/**
+ * Saves a screenshot of a booted simulator.
+ *
+ * @param {object} device
+ * @param {string} filePath The image file, its extension selects the format
+ */
+function takeScreenshot (device, filePath) {
+    const type = path.extname(filePath).slice(1).toLowerCase() || 'png';
+    execSimctl(`take a screenshot of "${device.name}"`, ['io', device.id, 'screenshot', `--type=${type === 'jpg' ? 'jpeg' : type}`, filePath]);
+}
+
+/**
+ * Starts recording the screen of a booted simulator. The recording stops when
+ * the process receives SIGINT.
+ *
+ * @param {object} device
+ * @param {string} filePath The video file, which is overwritten
+ * @returns {object} The execa child process
+ */
+function recordVideo (device, filePath) {
+    const args = ['simctl', 'io', device.id, 'recordVideo', '--force', filePath];
+
+    events.emit('verbose', `Running: xcrun ${args.join(' ')}`);
+    return execa('xcrun', args);
+}
+
+/**
+ * Opens a URL on a booted simulator, e.g. to follow a deep link.
+ *
+ * @param {object} device
+ * @param {string} url
+ */
+function openUrl (device, url) {
+    execSimctl(`open ${url} on "${device.name}"`, ['openurl', device.id, url]);
+}
+
+/**
+ * Sends a push notification to an app on a booted simulator.
+ *
+ * @param {object} device
+ * @param {string} appIdentifier The bundle identifier of the app
+ * @param {object} payload The APNs payload, e.g. { aps: { alert: 'Hello' } }
+ */
+function pushNotification (device, appIdentifier, payload) {
+    // simctl reads the payload from stdin when the file is "-"
+    execSimctl(`send a push notification to ${appIdentifier} on "${device.name}"`,
+        ['push', device.id, appIdentifier, '-'], { input: JSON.stringify(payload) });
 }
 
 module.exports = {
@@ -282,5 +571,17 @@ module.exports = {
     filterDeviceName,
     findRuntimesGroupByDeviceProperty,
     startSimulator,
-    getDeviceFromDeviceTypeId
+    streamLogs,
+    getDeviceFromDeviceTypeId,
+    findDevice,
+    findBootedDevice,
+    createDevice,
+    getDevice,
+    bootDevice,
+    shutdownDevice,
+    eraseDevice,
+    takeScreenshot,
+    recordVideo,
+    openUrl,
+    pushNotification
 };
@@ -0,0 +1,230 @@
+/*
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+        http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const path = require('node:path');
+const readline = require('node:readline');
+const { CordovaError, events } = require('cordova-common');
+const projectFile = require('./projectFile');
+const run = require('./run');
+const simctlHelper = require('./simctlHelper');
+
+// How long to wait for simctl to report that the recording started, after
+// which a recording that is still running is assumed to have started
+const RECORDING_START_TIMEOUT = 5000;
+
+/**
+ * Resolves the simulator of a command the same way a run on a simulator
+ * does: the target is a simulator UDID, a device name or a device type, and
+ * without a target a booted simulator is preferred.
+ *
+ * @param  {String} [target]
+ * @return {Promise<Object>} The device
+ */
+async function getSimulator (target) {
+    target = await run.resolveSimulatorTarget(target);
+
+    try {
+        return simctlHelper.getDevice(target);
+    } catch (err) {
+        throw new CordovaError(`Failed to find a simulator for "${target}": ${err.message}`);
+    }
+}
+
+/**
+ * Runs a simctlHelper command on the target simulator.
+ *
+ * @param  {String} [target]
+ * @param  {Function} command Called with the device
+ * @return {Promise<Object>} Resolves with the device
+ */
+async function onSimulator (target, command) {
+    const device = await getSimulator(target);
+
+    try {
+        command(device);
+    } catch (err) {
+        throw new CordovaError(err.message);
+    }
+
+    return device;
+}
+
+/**
+ * Boots a simulator and waits until it has finished booting.
+ *
+ * @param  {String} [target] Simulator UDID, device name or device type
+ * @return {Promise<Object>} Resolves with the device
+ */
+function boot (target) {
+    return onSimulator(target, device => {
+        simctlHelper.bootDevice(device);
+        events.emit('log', `Booted the "${device.name}" simulator.`);
+    });
+}
+
+/**
+ * Shuts a simulator down.
+ *
+ * @param  {String} [target] Simulator UDID, device name or device type
+ * @return {Promise<Object>} Resolves with the device
+ */
+function shutdown (target) {
+    return onSimulator(target, device => {
+        simctlHelper.shutdownDevice(device);
+        events.emit('log', `Shut down the "${device.name}" simulator.`);
+    });
+}
+
+/**
+ * Shuts a simulator down and erases all of its content and settings.
+ *
+ * @param  {String} [target] Simulator UDID, device name or device type
+ * @return {Promise<Object>} Resolves with the device
+ */
+function erase (target) {
+    return onSimulator(target, device => {
+        simctlHelper.eraseDevice(device);
+        events.emit('log', `Erased the "${device.name}" simulator.`);
+    });
+}
+
+/**
+ * Saves a screenshot of a booted simulator.
+ *
+ * @param  {String} [target] Simulator UDID, device name or device type
+ * @param  {String} filePath The image file, e.g. screenshot.png
+ * @return {Promise<String>} Resolves with the absolute path of the image
+ */
+async function screenshot (target, filePath) {
+    if (!filePath) {
+        throw new CordovaError('Missing the screenshot file path.');
+    }
+
+    filePath = path.resolve(filePath);
+    await onSimulator(target, device => {
+        simctlHelper.takeScreenshot(device, filePath);
+        events.emit('log', `Saved a screenshot of the "${device.name}" simulator to ${filePath}.`);
+    });
+
+    return filePath;
+}
+
+/**
+ * Starts recording the screen of a booted simulator.
+ *
+ * @param  {String} [target] Simulator UDID, device name or device type
+ * @param  {String} filePath The video file, e.g. recording.mp4
+ * @return {Promise<Object>} Resolves once the recording has started with the
+ *   deviceId, the absolute filePath and a stop method, which stops the
+ *   recording and resolves with the filePath once the video is saved
+ */
+async function recordVideo (target, filePath) {
+    if (!filePath) {
+        throw new CordovaError('Missing the video file path.');
+    }
+
+    filePath = path.resolve(filePath);
+    const device = await getSimulator(target);
+    const child = simctlHelper.recordVideo(device, filePath);
+
+    let timeout;
+    const started = new Promise(resolve => {
+        readline.createInterface({ input: child.stderr }).on('line', line => {
+            if (/Recording started/.test(line)) {
+                resolve();
+            }
+        });
+
+        // the wording of simctl differs between Xcode versions
+        timeout = setTimeout(() => {
+            events.emit('verbose', `simctl did not report that the recording started within ${RECORDING_START_TIMEOUT / 1000} seconds, assuming it did.`);
+            resolve();
+        }, RECORDING_START_TIMEOUT);
+    });
+    const stopped = child.then(
+        () => filePath,
+        err => {
+            throw new CordovaError(`Could not record a video of "${device.name}": ${(err.stderr || err.shortMessage || err.message).trim()}`);
+        }
+    );
+    // failures after the recording started are reported by stop
+    stopped.catch(() => {});
+
+    await Promise.race([started, stopped]).finally(() => clearTimeout(timeout));
+    events.emit('log', `Recording the "${device.name}" simulator to ${filePath}.`);
+
+    return {
+        deviceId: device.id,
+        filePath,
+        stop: () => {
+            child.kill('SIGINT');
+            return stopped;
+        }
+    };
+}
+
+/**
+ * Opens a URL on a booted simulator, e.g. to follow a deep link.
+ *
+ * @param  {String} [target] Simulator UDID, device name or device type
+ * @param  {String} url
+ * @return {Promise<Object>} Resolves with the device
+ */
+async function openUrl (target, url) {
+    if (!url) {
+        throw new CordovaError('Missing the URL to open.');
+    }
+
+    return onSimulator(target, device => {
+        simctlHelper.openUrl(device, url);
+        events.emit('log', `Opened ${url} on the "${device.name}" simulator.`);
+    });
+}
+
+/**
+ * Sends a push notification to the app on a booted simulator.
+ *
+ * @param  {String} [target] Simulator UDID, device name or device type
+ * @param  {Object} payload The APNs payload, e.g. { aps: { alert: 'Hello' } }
+ * @param  {String} [appIdentifier] Defaults to the bundle identifier of the
+ *   project
+ * @return {Promise<Object>} Resolves with the device
+ */
+async function push (target, payload, appIdentifier) {
+    if (!payload) {
+        throw new CordovaError('Missing the push notification payload.');
+    }
+
+    appIdentifier = appIdentifier || projectFile.parse(this.locations).getPackageName();
+
+    return onSimulator(target, device => {
+        simctlHelper.pushNotification(device, appIdentifier, payload);
+        events.emit('log', `Sent a push notification to ${appIdentifier} on the "${device.name}" simulator.`);
+    });
+}
+
+module.exports = {
+    boot,
+    shutdown,
+    erase,
+    screenshot,
+    recordVideo,
+    openUrl,
+    push
+};
@@ -0,0 +1,190 @@
+/*
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+        http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const readline = require('node:readline');
+const execa = require('execa');
+const { CordovaError, events } = require('cordova-common');
+
+// Name of the event emitted for each parsed error or warning
+const DIAGNOSTIC_EVENT = 'xcodebuild-diagnostic';
+
+const compilerPattern = /^(.+?):(\d+)(?::(\d+))?:\s+(fatal error|error|warning):\s+(.*)$/;
+const linkerPatterns = [
+    /^ld: (warning: )?(.*)$/,
+    /^(?:clang|clang\+\+): (error): (linker command failed.*)$/,
+    /^()(Undefined symbols for architecture \S+):$/,
+    /^()(duplicate symbol .*)$/
+];
+const codeSignPattern = /^(?:(Code ?Signing Error)|error|xcodebuild: error): (.*)$/i;
+const codeSignMessagePattern = /sign|provisioning|profile|certificate|development team|entitlement/i;
+const genericPattern = /^(?:xcodebuild: )?(error|warning): (.*)$/;
+
+/**
+ * Parses a single line of xcodebuild output.
+ *
+ * Example result:
+ *  {
+ *      type: 'compiler',
+ *      severity: 'error',
+ *      file: '/path/to/App/AppDelegate.swift',
+ *      line: 12,
+ *      column: 5,
+ *      message: "cannot find 'foo' in scope"
+ *  }
+ *
+ * @param {string} line
+ * @returns {object|null} The diagnostic, or null if the line is not an error
+ *   or warning. type is one of compiler, linker, codesign or xcodebuild.
+ */
+function parseLine (line) {
+    line = line.trim();
+
+    let match = compilerPattern.exec(line);
+    if (match) {
+        const [, file, lineNumber, column, severity, message] = match;
+        return {
+            type: 'compiler',
+            severity: severity === 'warning' ? 'warning' : 'error',
+            file,
+            line: Number(lineNumber),
+            column: column ? Number(column) : null,
+            message
+        };
+    }
+
+    for (const pattern of linkerPatterns) {
+        match = pattern.exec(line);
+        if (match) {
+            return createDiagnostic('linker', match[1] === 'warning: ' ? 'warning' : 'error', match[2]);
+        }
+    }
+
+    match = codeSignPattern.exec(line);
+    if (match && (match[1] || codeSignMessagePattern.test(match[2]))) {
+        return createDiagnostic('codesign', 'error', match[2]);
+    }
+
+    match = genericPattern.exec(line);
+    if (match) {
+        return createDiagnostic('xcodebuild', match[1], match[2]);
+    }
+
+    return null;
+}
+
+function createDiagnostic (type, severity, message) {
+    return { type, severity, file: null, line: null, column: null, message };
+}
+
+/**
+ * Formats a diagnostic the way the compiler prints it.
+ *
+ * @param {object} diagnostic
+ * @returns {string}
+ */
+function formatDiagnostic (diagnostic) {
+    const location = [diagnostic.file, diagnostic.line, diagnostic.column]
+        .filter(part => part !== null)
+        .join(':');
+
+    return `${location ? `${location}: ` : ''}${diagnostic.severity}: ${diagnostic.message}`;
+}
+
+/**
+ * Runs xcodebuild.
+ *
+ * By default the output is passed through to the terminal. With the
+ * structuredOutput option the output is captured instead: every line is
+ * logged as verbose, and every error or warning is emitted as an
+ * "xcodebuild-diagnostic" event. When xcodebuild fails, the promise is
+ * rejected with a CordovaError that summarizes the errors and has a `summary`
+ * property holding the error and warning counts and all diagnostics.
+ *
+ * @param {string[]} args Arguments for xcodebuild
+ * @param {object} options
+ * @param {string} options.cwd Working directory
+ * @param {boolean} [options.structuredOutput] Capture and parse the output
+ * @returns {Promise<object[]|undefined>} Resolves with the diagnostics when
+ *   the output is captured.
+ */
+function run (args, options = {}) {
+    if (!options.structuredOutput) {
+        return execa('xcodebuild', args, { cwd: options.cwd, stdio: 'inherit' });
+    }
+
+    const diagnostics = [];
+    const seen = new Set();
+    const child = execa('xcodebuild', args, { cwd: options.cwd, all: true, buffer: false });
+
+    const rl = readline.createInterface({ input: child.all, crlfDelay: Infinity });
+    const closed = new Promise(resolve => rl.once('close', resolve));
+
+    rl.on('line', line => {
+        events.emit('verbose', line);
+
+        const diagnostic = parseLine(line);
+        if (!diagnostic) {
+            return;
+        }
+
+        // xcodebuild repeats some messages, only report them once
+        const key = JSON.stringify(diagnostic);
+        if (seen.has(key)) {
+            return;
+        }
+        seen.add(key);
+
+        diagnostics.push(diagnostic);
+        events.emit(DIAGNOSTIC_EVENT, diagnostic);
+    });
+
+    return child.then(
+        () => closed.then(() => diagnostics),
+        err => closed.then(() => {
+            throw createBuildError(err, diagnostics);
+        })
+    );
+}
+
+function createBuildError (err, diagnostics) {
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+    const warnings = diagnostics.filter(diagnostic => diagnostic.severity === 'warning');
+
+    let message = err.exitCode !== undefined
+        ? `xcodebuild failed with exit code ${err.exitCode}`
+        : `xcodebuild failed: ${err.message}`;
+    if (errors.length > 0) {
+        message += ` and ${errors.length} error(s):\n${errors.map(e => `\t${formatDiagnostic(e)}`).join('\n')}`;
+    }
+
+    const error = new CordovaError(message);
+    error.summary = {
+        errorCount: errors.length,
+        warningCount: warnings.length,
+        diagnostics
+    };
+    return error;
+}
+
+module.exports = {
+    DIAGNOSTIC_EVENT,
+    parseLine,
+    formatDiagnostic,
+    run
+};
@@ -24,6 +24,7 @@ const PluginManager = require('cordova-common').PluginManager;
 const Api = require('../../lib/Api');
 const check_reqs = require('../../lib/check_reqs');
 const run_mod = require('../../lib/run');
+const simulator_mod = require('../../lib/simulator');
 
 const projectFile = require('../../lib/projectFile');
 const BridgingHeader_mod = require('../../lib/BridgingHeader.js');
@@ -93,6 +94,21 @@ describe('Platform Api', () => {
             });
         });
 
+        describe('simulator', () => {
+            beforeEach(() => {
+                spyOn(check_reqs, 'run').and.returnValue(Promise.resolve());
+            });
+            it('should call into lib/simulator module', () => {
+                spyOn(simulator_mod, 'push').and.resolveTo();
+                const payload = { aps: { alert: 'Hello' } };
+                return api.simulator.push('iPhone 15', payload).then(() => {
+                    expect(check_reqs.run).toHaveBeenCalled();
+                    expect(simulator_mod.push).toHaveBeenCalledWith('iPhone 15', payload);
+                    expect(simulator_mod.push.calls.mostRecent().object).toBe(api);
+                });
+            });
+        });
+
         describe('addPlugin', () => {
             const my_plugin = {
                 getPlatforms () { return [{ name: 'ios' }]; },
@@ -20,11 +20,19 @@
 const fs = require('node:fs');
 const path = require('node:path');
 const rewire = require('rewire');
-const { CordovaError } = require('cordova-common');
+const tmp = require('tmp');
+const plist = require('plist');
+const { CordovaError, events } = require('cordova-common');
 const build = rewire('../../lib/build');
+const check_reqs = require('../../lib/check_reqs');
+const listDevices = require('../../lib/listDevices');
+const xcodebuildOutput = require('../../lib/xcodebuildOutput');
+const versions = require('../../lib/versions');
 
 const realBuild = require('../../lib/build');
 
+tmp.setGracefulCleanup();
+
 describe('build', () => {
     const testProjectPath = path.join('/test', 'project', 'path');
 
@@ -248,6 +256,32 @@ describe('build', () => {
             ]);
             expect(args.length).toEqual(9);
         });
+
+        it('should use the scheme option, unless a -scheme buildFlag overrides it', () => {
+            let args = getXcodeBuildArgs(testProjectPath, 'Debug', { device: true, scheme: 'WhiteLabel' });
+            expect(args.slice(2, 4)).toEqual(['-scheme', 'WhiteLabel']);
+
+            args = getXcodeBuildArgs(testProjectPath, 'Debug', { emulator: true, scheme: 'WhiteLabel' });
+            expect(args.slice(2, 4)).toEqual(['-scheme', 'WhiteLabel']);
+
+            args = getXcodeBuildArgs(testProjectPath, 'Debug', { emulator: true, scheme: 'WhiteLabel', buildFlag: '-scheme Other' });
+            expect(args.slice(2, 4)).toEqual(['-scheme', 'Other']);
+        });
+
+        it('should archive Mac Catalyst builds for the Mac distribution methods', () => {
+            const args = getXcodeBuildArgs(testProjectPath, 'Release', { device: true, catalyst: true, packageType: 'developer-id' });
+            expect(args).toEqual([
+                '-workspace', 'App.xcworkspace',
+                '-scheme', 'App',
+                '-configuration', 'Release',
+                '-destination', 'generic/platform=macOS,variant=Mac Catalyst',
+                '-archivePath', 'App.xcarchive',
+                'archive',
+                'ENABLE_HARDENED_RUNTIME=YES'
+            ]);
+
+            expect(getXcodeBuildArgs(testProjectPath, 'Release', { device: true, catalyst: true })).toContain('build');
+        });
     });
 
     describe('getXcodeArchiveArgs method', () => {
@@ -404,6 +438,25 @@ describe('build', () => {
         });
     });
 
+    describe('getExportOptions method', () => {
+        const getExportOptions = build.__get__('getExportOptions');
+
+        it('should use the exportOptions block, overridden by the dedicated build options', () => {
+            const exportOptions = getExportOptions({
+                exportOptions: { method: 'release-testing', teamID: 'Z9Y8X7', uploadSymbols: false },
+                developmentTeam: 'A1B2C3'
+            }, 'com.example.app');
+
+            expect(exportOptions).toEqual({ method: 'release-testing', teamID: 'A1B2C3', uploadSymbols: false });
+        });
+
+        it('should use the packageType as export method', () => {
+            const exportOptions = getExportOptions({ exportOptions: { method: 'release-testing' }, packageType: 'app-store-connect' }, 'com.example.app');
+
+            expect(exportOptions.method).toEqual('app-store-connect');
+        });
+    });
+
     describe('parseOptions method', () => {
         const parseOptions = build.__get__('parseOptions');
         const buildConfigJson = {
@@ -479,6 +532,186 @@ describe('build', () => {
             expect(opts.codeSignIdentity).toEqual('Apple Distribution');
             expect(opts.packageType).toEqual('app-store');
         });
+
+        it('should not accept an unknown packageType', () => {
+            expect(() => parseOptions({ packageType: 'appstore' })).toThrowError(CordovaError,
+                'Unknown packageType "appstore". Valid values are: app-store-connect, release-testing, debugging, enterprise, validation, package, developer-id, mac-application, app-store, ad-hoc, development');
+            expect(() => parseOptions({ exportOptions: { method: 'appstore' } })).toThrowError(CordovaError, /^Unknown packageType "appstore"/);
+        });
+
+        it('should read a validated exportOptions block from the build config file', () => {
+            const exportOptions = {
+                uploadSymbols: false,
+                manageAppVersionAndBuildNumber: false,
+                thinning: '<none>',
+                destination: 'upload',
+                distributionBundleIdentifier: 'com.example.app'
+            };
+            spyOn(fs, 'existsSync').and.returnValue(true);
+            spyOn(fs, 'readFileSync').and.returnValue(JSON.stringify({ ios: { release: { exportOptions } } }));
+
+            const opts = parseOptions({ release: true, buildConfig: './some/config/path' });
+
+            expect(opts.exportOptions).toEqual(exportOptions);
+        });
+
+        it('should reject unknown export options and wrong value types', () => {
+            const exportOptions = {
+                uploadSymbol: true,
+                compileBitcode: 'NO',
+                destination: 'app-store',
+                manifest: { appURL: 1 }
+            };
+            spyOn(fs, 'existsSync').and.returnValue(true);
+            spyOn(fs, 'readFileSync').and.returnValue(JSON.stringify({ ios: { release: { exportOptions } } }));
+
+            expect(() => parseOptions({ release: true, buildConfig: './some/config/path' })).toThrowError(CordovaError,
+                'Invalid exportOptions:\n' +
+                '\t"uploadSymbol" is not a known export option\n' +
+                '\t"compileBitcode" must be a boolean\n' +
+                '\t"destination" must be one of export, upload\n' +
+                '\t"manifest" must be an object with string values');
+        });
+
+        describe('with environment variable placeholders', () => {
+            /* eslint-disable no-template-curly-in-string */
+            const envConfigJson = {
+                ios: {
+                    release: {
+                        developmentTeam: '${env:CDV_TEST_TEAM}',
+                        authenticationKeyPath: '/keys/AuthKey_${env:CDV_TEST_KEY_ID}.p8',
+                        authenticationKeyID: '${env:CDV_TEST_KEY_ID}',
+                        provisioningProfile: { 'com.example.app': '${env:CDV_TEST_PROFILE}' },
+                        buildFlag: ['-quiet', 'MY_SETTING=${env:CDV_TEST_TEAM}']
+                    }
+                }
+            };
+            /* eslint-enable no-template-curly-in-string */
+
+            beforeEach(() => {
+                spyOn(fs, 'existsSync').and.returnValue(true);
+                spyOn(fs, 'readFileSync').and.returnValue(JSON.stringify(envConfigJson));
+                process.env.CDV_TEST_TEAM = 'A1B2C3';
+                process.env.CDV_TEST_KEY_ID = 'SECRETKEY1';
+                process.env.CDV_TEST_PROFILE = 'profile-uuid';
+            });
+
+            afterEach(() => {
+                delete process.env.CDV_TEST_TEAM;
+                delete process.env.CDV_TEST_KEY_ID;
+                delete process.env.CDV_TEST_PROFILE;
+            });
+
+            it('should replace the placeholders in every value', () => {
+                const opts = parseOptions({ release: true, buildConfig: './some/config/path' });
+
+                expect(opts.developmentTeam).toEqual('A1B2C3');
+                expect(opts.authenticationKeyPath).toEqual('/keys/AuthKey_SECRETKEY1.p8');
+                expect(opts.authenticationKeyID).toEqual('SECRETKEY1');
+                expect(opts.provisioningProfile).toEqual({ 'com.example.app': 'profile-uuid' });
+                expect(opts.buildFlag).toEqual(['-quiet', 'MY_SETTING=A1B2C3']);
+            });
+
+            it('should mask secret values in the verbose log', () => {
+                spyOn(events, 'emit');
+                parseOptions({ release: true, buildConfig: './some/config/path' });
+
+                expect(events.emit).toHaveBeenCalledWith('verbose', 'Build config developmentTeam: "A1B2C3"');
+                expect(events.emit).toHaveBeenCalledWith('verbose', 'Build config authenticationKeyID: ********');
+                const logged = events.emit.calls.allArgs().map(args => args[1]).join('\n');
+                expect(logged).not.toContain('SECRETKEY1');
+            });
+
+            it('should name the missing environment variable', () => {
+                delete process.env.CDV_TEST_PROFILE;
+
+                expect(() => parseOptions({ release: true, buildConfig: './some/config/path' }))
+                    .toThrowError(CordovaError, 'Environment variable "CDV_TEST_PROFILE" used by build config property "provisioningProfile" is not set.');
+            });
+
+            it('should not require variables for values overridden on the command line', () => {
+                delete process.env.CDV_TEST_PROFILE;
+
+                const opts = parseOptions({ release: true, buildConfig: './some/config/path', argv: ['--provisioningProfile=cli-profile'] });
+                expect(opts.provisioningProfile).toEqual('cli-profile');
+            });
+        });
+
+        describe('with build profiles', () => {
+            const profilesJson = {
+                ios: {
+                    ...buildConfigJson.ios,
+                    staging: {
+                        extends: 'release',
+                        packageType: 'ad-hoc',
+                        provisioningProfile: 'staging-profile'
+                    },
+                    qa: {
+                        extends: 'staging',
+                        configuration: 'QA',
+                        buildFlag: ['-quiet']
+                    },
+                    loop: {
+                        extends: 'loop2'
+                    },
+                    loop2: {
+                        extends: 'loop'
+                    },
+                    broken: {
+                        extends: 'missing'
+                    }
+                }
+            };
+
+            beforeEach(() => {
+                spyOn(fs, 'existsSync').and.returnValue(true);
+                spyOn(fs, 'readFileSync').and.returnValue(JSON.stringify(profilesJson));
+            });
+
+            it('should select the profile named by --buildProfile', () => {
+                const opts = parseOptions({ buildConfig: './some/config/path', argv: ['--buildProfile=staging'] });
+
+                expect(opts.buildProfile).toEqual('staging');
+                expect(opts.packageType).toEqual('ad-hoc');
+                expect(opts.provisioningProfile).toEqual('staging-profile');
+                expect(opts.codeSignIdentity).toEqual('Apple Distribution');
+                expect(opts.configuration).toEqual('Release');
+            });
+
+            it('should merge the whole extends chain and honour the configuration name', () => {
+                const opts = parseOptions({ buildConfig: './some/config/path', buildProfile: 'qa' });
+
+                expect(opts.packageType).toEqual('ad-hoc');
+                expect(opts.codeSignIdentity).toEqual('Apple Distribution');
+                expect(opts.buildFlag).toEqual(['-quiet']);
+                expect(opts.configuration).toEqual('QA');
+            });
+
+            it('should map the default profiles to the Debug and Release configurations', () => {
+                expect(parseOptions({ buildConfig: './some/config/path' }).configuration).toEqual('Debug');
+                expect(parseOptions({ buildConfig: './some/config/path', release: true }).configuration).toEqual('Release');
+            });
+
+            it('should not accept an unknown profile', () => {
+                expect(() => parseOptions({ buildConfig: './some/config/path', buildProfile: 'enterprise' }))
+                    .toThrowError(CordovaError, /Build profile "enterprise" is not defined/);
+            });
+
+            it('should not accept a profile that extends an unknown profile', () => {
+                expect(() => parseOptions({ buildConfig: './some/config/path', buildProfile: 'broken' }))
+                    .toThrowError(CordovaError, 'Build profile "broken" extends unknown profile "missing".');
+            });
+
+            it('should not accept circular inheritance', () => {
+                expect(() => parseOptions({ buildConfig: './some/config/path', buildProfile: 'loop' }))
+                    .toThrowError(CordovaError, 'Build profile "loop" extends itself: loop -> loop2 -> loop');
+            });
+
+            it('should not accept a profile without a build config file', () => {
+                expect(() => parseOptions({ buildProfile: 'staging' }))
+                    .toThrowError(CordovaError, 'Build profile "staging" requires a build config file.');
+            });
+        });
     });
 
     describe('run method', () => {
@@ -499,5 +732,484 @@ describe('build', () => {
             return expectAsync(realBuild.run({ buildConfig: './some/config/path' }))
                 .toBeRejectedWithError(CordovaError, `Build config file does not exist: ${buildConfig}`);
         });
+
+        describe('build result', () => {
+            let projectPath;
+
+            beforeEach(() => {
+                projectPath = path.join(tmp.dirSync({ unsafeCleanup: true }).name, 'ios');
+                fs.cpSync(path.join(__dirname, 'fixtures', 'ios-config-xml'), projectPath, { recursive: true });
+
+                spyOn(check_reqs, 'run').and.resolveTo();
+                spyOn(listDevices, 'run').and.resolveTo([]);
+            });
+
+            afterEach(() => {
+                require('../../lib/projectFile').purgeProjectFileCache(projectPath);
+            });
+
+            it('should write and resolve with the simulator build result', () => {
+                spyOn(xcodebuildOutput, 'run').and.callFake(() => {
+                    fs.mkdirSync(path.join(projectPath, 'build', 'Debug-iphonesimulator', 'App.app'), { recursive: true });
+                    return Promise.resolve();
+                });
+
+                return realBuild.run.call({ root: projectPath }, { emulator: true }).then(result => {
+                    expect(result).toEqual({
+                        configuration: 'Debug',
+                        platform: 'iphonesimulator',
+                        bundleIdentifier: 'com.example.friendstring',
+                        marketingVersion: '1.0',
+                        currentProjectVersion: '1',
+                        signingIdentity: null,
+                        developmentTeam: null,
+                        app: path.join(projectPath, 'build', 'Debug-iphonesimulator', 'App.app'),
+                        ipa: null,
+                        pkg: null,
+                        xcarchive: null,
+                        dSYM: null,
+                        symbolsZip: null,
+                        simulatorAppZip: null,
+                        upToDate: false,
+                        durationMs: jasmine.any(Number)
+                    });
+
+                    const written = JSON.parse(fs.readFileSync(path.join(projectPath, 'build', 'cordova-build-result.json'), 'utf-8'));
+                    expect(written).toEqual(result);
+                });
+            });
+
+            it('should report the archive, IPA and dSYM of device builds', () => {
+                spyOn(xcodebuildOutput, 'run').and.callFake(args => {
+                    if (args.includes('archive')) {
+                        fs.mkdirSync(path.join(projectPath, 'App.xcarchive', 'Products', 'Applications', 'App.app'), { recursive: true });
+                        fs.mkdirSync(path.join(projectPath, 'App.xcarchive', 'dSYMs', 'App.app.dSYM'), { recursive: true });
+                    } else {
+                        fs.mkdirSync(path.join(projectPath, 'build', 'Release-iphoneos'), { recursive: true });
+                        fs.writeFileSync(path.join(projectPath, 'build', 'Release-iphoneos', 'App.ipa'), '');
+                    }
+                    return Promise.resolve();
+                });
+
+                return realBuild.run.call({ root: projectPath }, { device: true, release: true, codeSignIdentity: 'Apple Distribution' }).then(result => {
+                    expect(result.platform).toEqual('iphoneos');
+                    expect(result.signingIdentity).toEqual('Apple Distribution');
+                    expect(result.xcarchive).toEqual(path.join(projectPath, 'App.xcarchive'));
+                    expect(result.app).toEqual(path.join(projectPath, 'App.xcarchive', 'Products', 'Applications', 'App.app'));
+                    expect(result.dSYM).toEqual(path.join(projectPath, 'App.xcarchive', 'dSYMs', 'App.app.dSYM'));
+                    expect(result.ipa).toEqual(path.join(projectPath, 'build', 'Release-iphoneos', 'App.ipa'));
+                    expect(result.symbolsZip).toBeNull();
+                });
+            });
+
+            it('should report the exported Mac App Store package', () => {
+                spyOn(versions, 'get_apple_xcode_version').and.resolveTo('16.0');
+                spyOn(xcodebuildOutput, 'run').and.callFake(args => {
+                    if (args.includes('archive')) {
+                        fs.mkdirSync(path.join(projectPath, 'App.xcarchive', 'Products', 'Applications', 'App.app'), { recursive: true });
+                    } else {
+                        fs.mkdirSync(path.join(projectPath, 'build', 'Release-maccatalyst'), { recursive: true });
+                        fs.writeFileSync(path.join(projectPath, 'build', 'Release-maccatalyst', 'App.pkg'), '');
+                    }
+                    return Promise.resolve();
+                });
+                fs.writeFileSync(path.join(projectPath, 'App', 'Entitlements-Release.plist'), plist.build({ 'com.apple.security.app-sandbox': true }));
+
+                return realBuild.run.call({ root: projectPath }, { target: 'mac', release: true, packageType: 'app-store' }).then(result => {
+                    expect(result.platform).toEqual('maccatalyst');
+                    expect(result.pkg).toEqual(path.join(projectPath, 'build', 'Release-maccatalyst', 'App.pkg'));
+                    expect(result.app).toEqual(path.join(projectPath, 'App.xcarchive', 'Products', 'Applications', 'App.app'));
+                    expect(plist.parse(fs.readFileSync(path.join(projectPath, 'exportOptions.plist'), 'utf-8')).method).toEqual('app-store-connect');
+                });
+            });
+
+            it('should accept a provisioning profile for a sandboxed Mac App Store build', () => {
+                spyOn(versions, 'get_apple_xcode_version').and.resolveTo('16.0');
+                spyOn(xcodebuildOutput, 'run').and.callFake(args => {
+                    if (args.includes('archive')) {
+                        fs.mkdirSync(path.join(projectPath, 'App.xcarchive', 'Products', 'Applications', 'App.app'), { recursive: true });
+                    }
+                    return Promise.resolve();
+                });
+                fs.writeFileSync(path.join(projectPath, 'App', 'Entitlements-Release.plist'), plist.build({ 'com.apple.security.app-sandbox': true }));
+
+                const profilesDir = tmp.dirSync({ unsafeCleanup: true }).name;
+                fs.writeFileSync(path.join(profilesDir, 'app.provisionprofile'), plist.build({
+                    UUID: 'my-profile-uuid',
+                    Name: 'Friendstring Mac App Store',
+                    TeamIdentifier: ['A1B2C3'],
+                    ApplicationIdentifierPrefix: ['A1B2C3'],
+                    ExpirationDate: new Date('2099-01-01T00:00:00Z'),
+                    Entitlements: { 'application-identifier': 'A1B2C3.com.example.friendstring' }
+                }));
+
+                const buildOpts = {
+                    target: 'mac',
+                    release: true,
+                    packageType: 'app-store-connect',
+                    provisioningProfile: 'my-profile-uuid',
+                    provisioningProfilePath: profilesDir
+                };
+
+                return realBuild.run.call({ root: projectPath }, buildOpts).then(result => {
+                    expect(result.platform).toEqual('maccatalyst');
+                    expect(xcodebuildOutput.run).toHaveBeenCalledTimes(2);
+                });
+            });
+
+            it('should write the provisioning profile of each target to the Xcode project', () => {
+                spyOn(xcodebuildOutput, 'run').and.resolveTo();
+                const buildOpts = { device: true, noSign: true, provisioningProfile: { 'com.example.friendstring': 'app profile' } };
+                const projectFile = require('../../lib/projectFile');
+
+                return realBuild.run.call({ root: projectPath }, buildOpts).then(() => {
+                    projectFile.purgeProjectFileCache(projectPath);
+                    const project = projectFile.parse({ root: projectPath, pbxproj: path.join(projectPath, 'App.xcodeproj', 'project.pbxproj') });
+
+                    expect(project.xcode.getBuildProperty('CODE_SIGN_STYLE', 'Debug', 'App')).toEqual('Manual');
+                    expect(project.xcode.getBuildProperty('PROVISIONING_PROFILE_SPECIFIER', 'Debug', 'App')).toEqual('"app profile"');
+                    expect(fs.readFileSync(path.join(projectPath, 'cordova', 'build-extras.xcconfig'), 'utf-8')).toEqual('');
+
+                    return realBuild.run.call({ root: projectPath }, { device: true, noSign: true, automaticProvisioning: true });
+                }).then(() => {
+                    projectFile.purgeProjectFileCache(projectPath);
+                    const project = projectFile.parse({ root: projectPath, pbxproj: path.join(projectPath, 'App.xcodeproj', 'project.pbxproj') });
+
+                    expect(project.xcode.getBuildProperty('CODE_SIGN_STYLE', 'Debug', 'App')).toEqual('Automatic');
+                    expect(project.xcode.getBuildProperty('PROVISIONING_PROFILE_SPECIFIER', 'Debug', 'App')).toBeUndefined();
+                });
+            });
+
+            it('should keep the provisioning profiles that were set in the Xcode project', () => {
+                spyOn(xcodebuildOutput, 'run').and.resolveTo();
+                const projectFile = require('../../lib/projectFile');
+                const pbxproj = path.join(projectPath, 'App.xcodeproj', 'project.pbxproj');
+
+                const project = projectFile.parse({ root: projectPath, pbxproj });
+                project.xcode.updateBuildProperty('PROVISIONING_PROFILE_SPECIFIER', '"hand-picked profile"', undefined, 'App');
+                project.write();
+
+                return realBuild.run.call({ root: projectPath }, { device: true, noSign: true, provisioningProfile: 'app profile' }).then(() => {
+                    return realBuild.run.call({ root: projectPath }, { device: true, noSign: true, automaticProvisioning: true });
+                }).then(() => {
+                    projectFile.purgeProjectFileCache(projectPath);
+                    const project = projectFile.parse({ root: projectPath, pbxproj });
+
+                    expect(project.xcode.getBuildProperty('PROVISIONING_PROFILE_SPECIFIER', 'Debug', 'App')).toEqual('"hand-picked profile"');
+                    expect(project.xcode.getBuildProperty('PROVISIONING_PROFILE_SPECIFIER', 'Release', 'App')).toEqual('"hand-picked profile"');
+                });
+            });
+
+            it('should fail before building when the provisioning profile is not found', () => {
+                spyOn(xcodebuildOutput, 'run');
+                const profilesDir = tmp.dirSync({ unsafeCleanup: true }).name;
+
+                return expectAsync(realBuild.run.call({ root: projectPath }, { device: true, provisioningProfile: 'my-profile-uuid', provisioningProfilePath: profilesDir }))
+                    .toBeRejectedWithError(CordovaError, `Provisioning profile "my-profile-uuid" was not found in:\n\t${profilesDir}`)
+                    .then(() => {
+                        expect(xcodebuildOutput.run).not.toHaveBeenCalled();
+                    });
+            });
+
+            describe('when nothing changed since the last build', () => {
+                beforeEach(() => {
+                    spyOn(xcodebuildOutput, 'run').and.callFake(() => {
+                        fs.mkdirSync(path.join(projectPath, 'build', 'Debug-iphonesimulator', 'App.app'), { recursive: true });
+                        return Promise.resolve();
+                    });
+                });
+
+                it('should skip xcodebuild and resolve with the previous build result', () => {
+                    return realBuild.run.call({ root: projectPath }, { emulator: true }).then(firstResult => {
+                        return realBuild.run.call({ root: projectPath }, { emulator: true }).then(result => {
+                            expect(xcodebuildOutput.run).toHaveBeenCalledTimes(1);
+                            expect(result).toEqual({ ...firstResult, upToDate: true, durationMs: jasmine.any(Number) });
+
+                            const written = JSON.parse(fs.readFileSync(path.join(projectPath, 'build', 'cordova-build-result.json'), 'utf-8'));
+                            expect(written.upToDate).toBeTrue();
+                        });
+                    });
+                });
+
+                it('should skip xcodebuild when the signing settings were written by the last build', () => {
+                    const buildOpts = () => ({ emulator: true, automaticProvisioning: true });
+
+                    return realBuild.run.call({ root: projectPath }, buildOpts()).then(() => {
+                        return realBuild.run.call({ root: projectPath }, buildOpts());
+                    }).then(() => {
+                        expect(xcodebuildOutput.run).toHaveBeenCalledTimes(1);
+                    });
+                });
+
+                it('should build again when a source file changed', () => {
+                    return realBuild.run.call({ root: projectPath }, { emulator: true }).then(() => {
+                        fs.writeFileSync(path.join(projectPath, 'www', 'index.html'), '<html></html>');
+                        return realBuild.run.call({ root: projectPath }, { emulator: true });
+                    }).then(() => {
+                        expect(xcodebuildOutput.run).toHaveBeenCalledTimes(2);
+                    });
+                });
+
+                it('should build again when the build options changed', () => {
+                    return realBuild.run.call({ root: projectPath }, { emulator: true }).then(() => {
+                        return realBuild.run.call({ root: projectPath }, { emulator: true, buildFlag: ['-quiet'] });
+                    }).then(() => {
+                        expect(xcodebuildOutput.run).toHaveBeenCalledTimes(2);
+                    });
+                });
+
+                it('should build again when an artifact of the last build is missing', () => {
+                    return realBuild.run.call({ root: projectPath }, { emulator: true }).then(() => {
+                        fs.rmSync(path.join(projectPath, 'build', 'Debug-iphonesimulator'), { recursive: true });
+                        return realBuild.run.call({ root: projectPath }, { emulator: true });
+                    }).then(() => {
+                        expect(xcodebuildOutput.run).toHaveBeenCalledTimes(2);
+                    });
+                });
+
+                it('should build again with the forceBuild option', () => {
+                    return realBuild.run.call({ root: projectPath }, { emulator: true }).then(() => {
+                        return realBuild.run.call({ root: projectPath }, { emulator: true, argv: ['--forceBuild'] });
+                    }).then(() => {
+                        expect(xcodebuildOutput.run).toHaveBeenCalledTimes(2);
+                    });
+                });
+            });
+
+            describe('with packageSimulatorApp option', () => {
+                let execa;
+
+                beforeEach(() => {
+                    spyOn(xcodebuildOutput, 'run').and.callFake(() => {
+                        fs.mkdirSync(path.join(projectPath, 'build', 'Debug-iphonesimulator', 'App.app'), { recursive: true });
+                        return Promise.resolve();
+                    });
+
+                    execa = jasmine.createSpy('execa').and.callFake((cmd, args) => {
+                        fs.writeFileSync(args[3], '');
+                        return Promise.resolve();
+                    });
+                    build.__set__('execa', execa);
+                });
+
+                it('should zip the simulator app and report it in the build result', () => {
+                    return build.run.call({ root: projectPath }, { emulator: true, packageSimulatorApp: true }).then(result => {
+                        const buildOutputDir = path.join(projectPath, 'build', 'Debug-iphonesimulator');
+                        const zipPath = path.join(buildOutputDir, 'App.app.zip');
+                        expect(execa).toHaveBeenCalledWith('zip', ['-q', '-r', '-y', zipPath, 'App.app'], { cwd: buildOutputDir });
+                        expect(result.simulatorAppZip).toEqual(zipPath);
+                    });
+                });
+
+                it('should ignore the option for device builds', () => {
+                    spyOn(events, 'emit');
+
+                    return build.run.call({ root: projectPath }, { device: true, noSign: true, packageSimulatorApp: true }).then(result => {
+                        expect(execa).not.toHaveBeenCalled();
+                        expect(events.emit).toHaveBeenCalledWith('warn', 'The packageSimulatorApp option only applies to simulator builds, ignoring it.');
+                        expect(result.simulatorAppZip).toBeNull();
+                    });
+                });
+            });
+
+            describe('with exportSymbols option', () => {
+                let execa;
+
+                beforeEach(() => {
+                    spyOn(xcodebuildOutput, 'run').and.callFake(args => {
+                        if (args.includes('archive')) {
+                            fs.mkdirSync(path.join(projectPath, 'App.xcarchive', 'dSYMs', 'App.app.dSYM'), { recursive: true });
+                            fs.mkdirSync(path.join(projectPath, 'App.xcarchive', 'BCSymbolMaps'), { recursive: true });
+                        } else {
+                            fs.mkdirSync(path.join(projectPath, 'build', 'Release-iphoneos'), { recursive: true });
+                        }
+                        return Promise.resolve();
+                    });
+
+                    execa = jasmine.createSpy('execa').and.callFake((cmd, args) => {
+                        fs.writeFileSync(args[3], '');
+                        return Promise.resolve();
+                    });
+                    build.__set__('execa', execa);
+                });
+
+                it('should zip the dSYMs of the archive next to the IPA', () => {
+                    return build.run.call({ root: projectPath }, { device: true, release: true, exportSymbols: true }).then(result => {
+                        const zipPath = path.join(projectPath, 'build', 'Release-iphoneos', 'App.dSYMs.zip');
+                        expect(execa).toHaveBeenCalledWith('zip', ['-q', '-r', '-y', zipPath, 'dSYMs'], { cwd: path.join(projectPath, 'App.xcarchive') });
+                        expect(result.symbolsZip).toEqual(zipPath);
+                    });
+                });
+
+                it('should add the BCSymbolMaps when includeBCSymbolMaps is set', () => {
+                    return build.run.call({ root: projectPath }, { device: true, release: true, exportSymbols: true, includeBCSymbolMaps: true }).then(() => {
+                        expect(execa).toHaveBeenCalledWith('zip', jasmine.arrayContaining(['dSYMs', 'BCSymbolMaps']), jasmine.any(Object));
+                    });
+                });
+
+                it('should not export symbols for simulator builds', () => {
+                    return build.run.call({ root: projectPath }, { emulator: true, exportSymbols: true }).then(result => {
+                        expect(execa).not.toHaveBeenCalled();
+                        expect(result.symbolsZip).toBeNull();
+                    });
+                });
+            });
+        });
+
+        describe('with dryRun option', () => {
+            const projectPath = path.join(__dirname, 'fixtures', 'ios-config-xml');
+            const api = { root: projectPath };
+
+            beforeEach(() => {
+                spyOn(check_reqs, 'run').and.resolveTo();
+                spyOn(listDevices, 'run').and.resolveTo([]);
+                spyOn(fs.promises, 'writeFile');
+                spyOn(versions, 'get_apple_xcode_version').and.resolveTo('16.0');
+            });
+
+            it('should return the simulator build plan without writing files', () => {
+                return realBuild.run.call(api, { emulator: true, dryRun: true }).then(plan => {
+                    expect(fs.promises.writeFile).not.toHaveBeenCalled();
+                    expect(plan).toEqual({
+                        configuration: 'Debug',
+                        platform: 'iphonesimulator',
+                        codeSignStyle: null,
+                        targetProvisioningProfiles: {},
+                        buildExtrasConfig: '',
+                        xcodebuildArgs: build.__get__('getXcodeBuildArgs')(projectPath, 'Debug', { device: false }),
+                        exportOptions: null,
+                        xcodearchiveArgs: null
+                    });
+                });
+            });
+
+            it('should not log the authentication key of the plan', () => {
+                spyOn(events, 'emit');
+                const buildOpts = {
+                    device: true,
+                    dryRun: true,
+                    automaticProvisioning: true,
+                    authenticationKeyPath: '/keys/AuthKey_SECRETKEY.p8',
+                    authenticationKeyID: 'SECRETKEY',
+                    authenticationKeyIssuerID: 'SECRET-ISSUER'
+                };
+
+                return realBuild.run.call(api, buildOpts).then(plan => {
+                    expect(plan.xcodebuildArgs).toContain('SECRETKEY');
+
+                    const planLog = events.emit.calls.allArgs().find(([, message]) => /^Build plan:/.test(message))[1];
+                    expect(planLog).toContain('-authenticationKeyID');
+                    expect(planLog).not.toContain('SECRET');
+                });
+            });
+
+            it('should not accept a configuration that the Xcode project does not define', () => {
+                return expectAsync(realBuild.run.call(api, { emulator: true, dryRun: true, configuration: 'Staging' }))
+                    .toBeRejectedWithError(CordovaError, 'The Xcode project does not define a "Staging" build configuration.');
+            });
+
+            it('should accept a scheme of the workspace and resolve the target it builds', () => {
+                const buildOpts = { emulator: true, dryRun: true, scheme: 'App' };
+
+                return realBuild.run.call(api, buildOpts).then(plan => {
+                    expect(plan.xcodebuildArgs.slice(2, 4)).toEqual(['-scheme', 'App']);
+                    expect(buildOpts.xcodeTarget).toEqual('App');
+                });
+            });
+
+            it('should not accept a scheme that the workspace does not define', () => {
+                return expectAsync(realBuild.run.call(api, { emulator: true, dryRun: true, scheme: 'WhiteLabel' }))
+                    .toBeRejectedWithError(CordovaError, 'The scheme "WhiteLabel" does not exist in App.xcworkspace. Available schemes: App');
+            });
+
+            it('should not accept a target that the Xcode project does not define', () => {
+                return expectAsync(realBuild.run.call(api, { emulator: true, dryRun: true, xcodeTarget: 'WhiteLabel' }))
+                    .toBeRejectedWithError(CordovaError, 'The target "WhiteLabel" does not exist in the Xcode project. Available targets: App');
+            });
+
+            it('should use the legacy export method names before Xcode 15.3', () => {
+                versions.get_apple_xcode_version.and.resolveTo('15.2');
+
+                return realBuild.run.call(api, { device: true, dryRun: true, packageType: 'release-testing' }).then(plan => {
+                    expect(plan.exportOptions.method).toEqual('ad-hoc');
+                });
+            });
+
+            it('should default to the debugging export method', () => {
+                return realBuild.run.call(api, { device: true, dryRun: true }).then(plan => {
+                    expect(plan.exportOptions.method).toEqual('debugging');
+                });
+            });
+
+            it('should return the export plan for Mac Catalyst builds', () => {
+                return realBuild.run.call(api, { target: 'mac', release: true, dryRun: true, packageType: 'developer-id' }).then(plan => {
+                    expect(plan.platform).toEqual('maccatalyst');
+                    expect(plan.xcodebuildArgs).toContain('archive');
+                    expect(plan.exportOptions.method).toEqual('developer-id');
+                    expect(plan.xcodearchiveArgs).toContain(path.join(projectPath, 'build', 'Release-maccatalyst'));
+                });
+            });
+
+            it('should require the App Sandbox for Mac App Store builds', () => {
+                return expectAsync(realBuild.run.call(api, { target: 'mac', release: true, dryRun: true, packageType: 'app-store-connect' }))
+                    .toBeRejectedWithError(CordovaError, 'Mac App Store builds require the App Sandbox. Set the com.apple.security.app-sandbox entitlement to true in the Release entitlements of the app.');
+            });
+
+            it('should map the provisioning profiles to the targets by bundle identifier', () => {
+                spyOn(events, 'emit');
+                const buildOpts = {
+                    device: true,
+                    dryRun: true,
+                    provisioningProfile: {
+                        'com.example.friendstring': 'app-profile',
+                        'com.example.friendstring.share': 'share-profile'
+                    }
+                };
+
+                return realBuild.run.call(api, buildOpts).then(plan => {
+                    expect(plan.codeSignStyle).toEqual('Manual');
+                    expect(plan.targetProvisioningProfiles).toEqual({ App: 'app-profile' });
+                    expect(plan.buildExtrasConfig).toEqual('');
+                    expect(events.emit).toHaveBeenCalledWith('warn', 'No target has the bundle identifier com.example.friendstring.share, its provisioning profile is not used.');
+                });
+            });
+
+            it('should return the signing and export plan for device builds', () => {
+                const buildOpts = {
+                    device: true,
+                    release: true,
+                    argv: ['--dryRun'],
+                    codeSignIdentity: 'Apple Distribution',
+                    developmentTeam: 'A1B2C3',
+                    provisioningProfile: 'my-profile-uuid',
+                    packageType: 'app-store'
+                };
+
+                return realBuild.run.call(api, buildOpts).then(plan => {
+                    expect(fs.promises.writeFile).not.toHaveBeenCalled();
+                    expect(plan.platform).toEqual('iphoneos');
+                    expect(plan.codeSignStyle).toEqual('Manual');
+                    expect(plan.buildExtrasConfig).toEqual(
+                        'CODE_SIGN_IDENTITY = Apple Distribution\n' +
+                        'PROVISIONING_PROFILE_SPECIFIER = my-profile-uuid\n' +
+                        'DEVELOPMENT_TEAM = A1B2C3\n'
+                    );
+                    expect(plan.xcodebuildArgs).toContain('archive');
+                    expect(plan.exportOptions).toEqual({
+                        method: 'app-store-connect',
+                        teamID: 'A1B2C3',
+                        provisioningProfiles: { 'com.example.friendstring': 'my-profile-uuid' },
+                        signingStyle: 'manual',
+                        signingCertificate: 'Apple Distribution'
+                    });
+                    expect(plan.xcodearchiveArgs).toEqual([
+                        '-exportArchive',
+                        '-archivePath', 'App.xcarchive',
+                        '-exportOptionsPlist', path.join(projectPath, 'exportOptions.plist'),
+                        '-exportPath', path.join(projectPath, 'build', 'Release-iphoneos')
+                    ]);
+                });
+            });
+        });
     });
 });
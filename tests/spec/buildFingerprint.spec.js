@@ -0,0 +1,100 @@
+/*
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+        http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const fs = require('node:fs');
+const path = require('node:path');
+const tmp = require('tmp');
+const buildFingerprint = require('../../lib/buildFingerprint');
+
+tmp.setGracefulCleanup();
+
+describe('buildFingerprint', () => {
+    let projectPath;
+
+    beforeEach(() => {
+        projectPath = tmp.dirSync({ unsafeCleanup: true }).name;
+        fs.mkdirSync(path.join(projectPath, 'www'));
+        fs.mkdirSync(path.join(projectPath, 'App'));
+        fs.writeFileSync(path.join(projectPath, 'www', 'index.html'), '<html></html>');
+        fs.writeFileSync(path.join(projectPath, 'App', 'config.xml'), '<widget/>');
+    });
+
+    describe('compute method', () => {
+        it('should not change when the inputs are rewritten with the same contents', () => {
+            const fingerprint = buildFingerprint.compute(projectPath, { emulator: true });
+            fs.writeFileSync(path.join(projectPath, 'www', 'index.html'), '<html></html>');
+
+            expect(buildFingerprint.compute(projectPath, { emulator: true })).toEqual(fingerprint);
+        });
+
+        it('should change when an input file changes, is added or is removed', () => {
+            const fingerprints = [buildFingerprint.compute(projectPath, {})];
+
+            fs.writeFileSync(path.join(projectPath, 'www', 'index.html'), '<html><body></body></html>');
+            fingerprints.push(buildFingerprint.compute(projectPath, {}));
+
+            fs.writeFileSync(path.join(projectPath, 'Podfile.lock'), 'PODFILE CHECKSUM: 1');
+            fingerprints.push(buildFingerprint.compute(projectPath, {}));
+
+            fs.rmSync(path.join(projectPath, 'App', 'config.xml'));
+            fingerprints.push(buildFingerprint.compute(projectPath, {}));
+
+            fs.mkdirSync(path.join(projectPath, 'packages', 'cordova-plugin-example'), { recursive: true });
+            fs.writeFileSync(path.join(projectPath, 'packages', 'cordova-plugin-example', 'Package.swift'), '// swift-tools-version:5.9');
+            fingerprints.push(buildFingerprint.compute(projectPath, {}));
+
+            fs.mkdirSync(path.join(projectPath, 'cordova'));
+            fs.writeFileSync(path.join(projectPath, 'cordova', 'build-debug.xcconfig'), 'SWIFT_VERSION = 5');
+            fingerprints.push(buildFingerprint.compute(projectPath, {}));
+
+            expect(new Set(fingerprints).size).toEqual(6);
+        });
+
+        it('should depend on the build options, but not on reporting or run options', () => {
+            const fingerprint = buildFingerprint.compute(projectPath, { emulator: true });
+
+            expect(buildFingerprint.compute(projectPath, { emulator: true, structuredOutput: true, argv: ['--forceBuild'] })).toEqual(fingerprint);
+            expect(buildFingerprint.compute(projectPath, {
+                emulator: true,
+                target: 'iPhone 15',
+                launchArg: ['-FeatureX'],
+                launchEnv: ['A=1'],
+                watchLogs: true,
+                createSimulator: true,
+                nobuild: false
+            })).toEqual(fingerprint);
+            expect(buildFingerprint.compute(projectPath, { emulator: true, release: true })).not.toEqual(fingerprint);
+        });
+    });
+
+    describe('getUpToDateResult method', () => {
+        it('should return the saved result when the fingerprint matches and the artifacts exist', () => {
+            const app = path.join(projectPath, 'build', 'Debug-iphonesimulator', 'App.app');
+            fs.mkdirSync(app, { recursive: true });
+            buildFingerprint.save(projectPath, 'Debug-iphonesimulator', 'abc', { app, ipa: null });
+
+            expect(buildFingerprint.getUpToDateResult(projectPath, 'Debug-iphonesimulator', 'abc')).toEqual({ app, ipa: null });
+            expect(buildFingerprint.getUpToDateResult(projectPath, 'Debug-iphonesimulator', 'def')).toBeNull();
+            expect(buildFingerprint.getUpToDateResult(projectPath, 'Release-iphonesimulator', 'abc')).toBeNull();
+
+            fs.rmSync(app, { recursive: true });
+            expect(buildFingerprint.getUpToDateResult(projectPath, 'Debug-iphonesimulator', 'abc')).toBeNull();
+        });
+    });
+});
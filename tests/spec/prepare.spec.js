@@ -1965,6 +1965,305 @@ describe('prepare', () => {
         });
     });
 
+    describe('updateEntitlements method', () => {
+        const PlatformConfigParser = require('../../lib/PlatformConfigParser');
+        const updateEntitlements = prepare.__get__('updateEntitlements');
+        const readEntitlements = configuration => plist.parse(fs.readFileSync(path.join(p.locations.xcodeCordovaProj, `Entitlements-${configuration}.plist`), 'utf8'));
+
+        it('should write the entitlements of each configuration', () => {
+            updateEntitlements(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'entitlements.xml')), p.locations);
+
+            expect(readEntitlements('Debug')).toEqual({
+                'aps-environment': 'development',
+                'com.apple.developer.associated-domains': ['applinks:example.com'],
+                'com.apple.security.application-groups': ['group.org.apache.cordova.hellocordova']
+            });
+            expect(readEntitlements('Release')).toEqual({
+                'aps-environment': 'production',
+                'com.apple.developer.associated-domains': ['applinks:example.com'],
+                'com.apple.security.application-groups': ['group.org.apache.cordova.hellocordova']
+            });
+        });
+
+        it('should remove the entitlements that were removed from config.xml, but keep the others', () => {
+            const debugEntitlements = path.join(p.locations.xcodeCordovaProj, 'Entitlements-Debug.plist');
+            fs.writeFileSync(debugEntitlements, plist.build({ 'com.apple.developer.icloud-container-identifiers': ['iCloud.example'] }));
+
+            updateEntitlements(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'entitlements.xml')), p.locations);
+            updateEntitlements(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'no-privacy-manifest.xml')), p.locations);
+
+            expect(readEntitlements('Debug')).toEqual({ 'com.apple.developer.icloud-container-identifiers': ['iCloud.example'] });
+            expect(readEntitlements('Release')).toEqual({});
+        });
+
+        it('should not rewrite the plist files when config.xml sets nothing', () => {
+            const cfg = new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'no-privacy-manifest.xml'));
+            const files = ['Entitlements-Debug.plist', 'Entitlements-Release.plist', 'App-Info.plist']
+                .map(file => path.join(p.locations.xcodeCordovaProj, file));
+            const contents = files.map(file => fs.readFileSync(file, 'utf8'));
+
+            updateEntitlements(cfg, p.locations);
+            prepare.__get__('updateInfoPlist')(cfg, p.locations);
+            prepare.__get__('updateLinks')(cfg, p.locations);
+
+            expect(files.map(file => fs.readFileSync(file, 'utf8'))).toEqual(contents);
+            expect(contents[0]).toContain('Licensed to the Apache Software Foundation');
+            expect(fs.existsSync(path.join(p.locations.root, 'cordova', 'managed-plist-keys.json'))).toBeFalse();
+            expect(fs.existsSync(path.join(p.locations.root, 'cordova', 'managed-plist-items.json'))).toBeFalse();
+        });
+    });
+
+    describe('updateInfoPlist method', () => {
+        const PlatformConfigParser = require('../../lib/PlatformConfigParser');
+        const updateInfoPlist = prepare.__get__('updateInfoPlist');
+        const cleanManagedPlistKeys = prepare.__get__('cleanManagedPlistKeys');
+        const infoPlistFile = () => path.join(p.locations.xcodeCordovaProj, 'App-Info.plist');
+        const readInfoPlist = () => plist.parse(fs.readFileSync(infoPlistFile(), 'utf8'));
+
+        beforeEach(() => {
+            const infoPlist = readInfoPlist();
+            infoPlist.NSAppTransportSecurity = { NSAllowsArbitraryLoads: true };
+            fs.writeFileSync(infoPlistFile(), plist.build(infoPlist));
+        });
+
+        it('should deep merge the typed values into App-Info.plist', () => {
+            updateInfoPlist(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'info-plist.xml')), p.locations);
+
+            const infoPlist = readInfoPlist();
+            expect(infoPlist.UIBackgroundModes).toEqual(['audio', 'remote-notification']);
+            expect(infoPlist.ITSAppUsesNonExemptEncryption).toBe(false);
+            expect(infoPlist.CDVSampleLaunchCount).toBe(3);
+            expect(infoPlist.CDVSampleReleaseDate).toEqual(new Date('2024-05-01T12:00:00Z'));
+            expect(infoPlist.NSAppTransportSecurity).toEqual({ NSAllowsArbitraryLoads: true, NSAllowsLocalNetworking: true });
+            expect(infoPlist.UIApplicationSceneManifest).toBeDefined();
+        });
+
+        it('should remove the keys that were removed from config.xml, but keep the others', () => {
+            const original = readInfoPlist();
+
+            updateInfoPlist(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'info-plist.xml')), p.locations);
+            updateInfoPlist(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'no-privacy-manifest.xml')), p.locations);
+
+            expect(readInfoPlist()).toEqual(original);
+        });
+
+        it('should restore the value that prepare writes when its override is removed', () => {
+            const removeStaleManagedPlistKeys = prepare.__get__('removeStaleManagedPlistKeys');
+            const updateProject = prepare.__get__('updateProject');
+            const prepareInfoPlist = fixture => {
+                const cfg = new PlatformConfigParser(path.join(FIXTURES, 'prepare', fixture));
+                removeStaleManagedPlistKeys(cfg, p.locations);
+                return updateProject(cfg, p.locations).then(() => updateInfoPlist(cfg, p.locations));
+            };
+
+            return prepareInfoPlist('default-locale-override.xml').then(() => {
+                expect(readInfoPlist().CFBundleDevelopmentRegion).toEqual('fr');
+                return prepareInfoPlist('default-locale.xml');
+            }).then(() => {
+                expect(readInfoPlist().CFBundleDevelopmentRegion).toEqual('de');
+            });
+        });
+
+        it('should remove the managed keys when cleaning', () => {
+            const original = readInfoPlist();
+
+            updateInfoPlist(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'info-plist.xml')), p.locations);
+            cleanManagedPlistKeys(p.locations);
+
+            expect(readInfoPlist()).toEqual(original);
+        });
+    });
+
+    describe('updateLocalizations method', () => {
+        const PlatformConfigParser = require('../../lib/PlatformConfigParser');
+        const updateLocalizations = prepare.__get__('updateLocalizations');
+        const stringsFile = locale => path.join(p.locations.xcodeCordovaProj, 'Resources', `${locale}.lproj`, 'InfoPlist.strings');
+        const readInfoPlist = () => plist.parse(fs.readFileSync(path.join(p.locations.xcodeCordovaProj, 'App-Info.plist'), 'utf8'));
+
+        beforeEach(() => {
+            projectFile.purgeProjectFileCache(p.locations.root);
+        });
+
+        it('should write an InfoPlist.strings file per locale', () => {
+            updateLocalizations(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'usage-descriptions.xml')), p.locations);
+
+            expect(fs.readFileSync(stringsFile('de'), 'utf8')).toEqual(
+                '"NSCameraUsageDescription" = "Die Kamera wird zum Scannen von \\"QR-Codes\\" verwendet.";\n' +
+                '"NSLocationWhenInUseUsageDescription" = "Zeigt Filialen in der Nähe.";\n');
+            expect(fs.readFileSync(stringsFile('fr'), 'utf8')).toEqual('"NSCameraUsageDescription" = "La caméra sert à scanner des codes QR.";\n');
+            expect(readInfoPlist().CFBundleLocalizations).toEqual(['en', 'de', 'fr']);
+        });
+
+        it('should register the files in a variant group of the Xcode project', () => {
+            updateLocalizations(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'usage-descriptions.xml')), p.locations);
+
+            projectFile.purgeProjectFileCache(p.locations.root);
+            const project = projectFile.parse(p.locations).xcode;
+            const groupKey = project.findPBXVariantGroupKey({ name: 'InfoPlist.strings' });
+            const group = project.getPBXVariantGroupByKey(groupKey);
+
+            expect(group.children.map(child => child.comment)).toEqual(['de', 'fr']);
+            expect(project.pbxFileReferenceSection()[group.children[0].value].path).toEqual('"de.lproj/InfoPlist.strings"');
+            expect(project.pbxResourcesBuildPhaseObj().files.map(file => file.comment)).toContain('InfoPlist.strings in Resources');
+            expect(project.hasKnownRegion('de')).toBe(true);
+            expect(project.hasKnownRegion('fr')).toBe(true);
+        });
+
+        it('should remove the locales that were removed from config.xml', () => {
+            updateLocalizations(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'usage-descriptions.xml')), p.locations);
+            updateLocalizations(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'no-privacy-manifest.xml')), p.locations);
+
+            expect(fs.existsSync(path.dirname(stringsFile('de')))).toBe(false);
+            expect(readInfoPlist().CFBundleLocalizations).toBeUndefined();
+            expect(fs.readFileSync(p.locations.pbxproj, 'utf8')).not.toContain('InfoPlist.strings');
+        });
+
+        it('should localize the display name of each declared locale', () => {
+            updateLocalizations(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'locales.xml')), p.locations);
+
+            expect(fs.readFileSync(stringsFile('de'), 'utf8')).toEqual(
+                '"CFBundleDisplayName" = "Beispiel";\n' +
+                '"NSCameraUsageDescription" = "Die Kamera wird zum Scannen verwendet.";\n');
+            expect(fs.readFileSync(stringsFile('ja'), 'utf8')).toEqual('"CFBundleDisplayName" = "SampleApp";\n');
+            expect(readInfoPlist().CFBundleLocalizations).toEqual(['en', 'de', 'ja']);
+
+            projectFile.purgeProjectFileCache(p.locations.root);
+            expect(projectFile.parse(p.locations).xcode.hasKnownRegion('ja')).toBe(true);
+        });
+
+        it('should remove the known regions of removed locales, but keep the development region', () => {
+            updateLocalizations(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'locales.xml')), p.locations);
+            updateLocalizations(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'no-privacy-manifest.xml')), p.locations);
+
+            projectFile.purgeProjectFileCache(p.locations.root);
+            const project = projectFile.parse(p.locations).xcode;
+            expect(project.hasKnownRegion('de')).toBe(false);
+            expect(project.hasKnownRegion('ja')).toBe(false);
+            expect(project.hasKnownRegion('en')).toBe(true);
+            expect(fs.existsSync(path.dirname(stringsFile('ja')))).toBe(false);
+        });
+    });
+
+    describe('updateLinks method', () => {
+        const PlatformConfigParser = require('../../lib/PlatformConfigParser');
+        const updateLinks = prepare.__get__('updateLinks');
+        const cleanManagedPlistKeys = prepare.__get__('cleanManagedPlistKeys');
+        const infoPlistFile = () => path.join(p.locations.xcodeCordovaProj, 'App-Info.plist');
+        const entitlementsFile = configuration => path.join(p.locations.xcodeCordovaProj, `Entitlements-${configuration}.plist`);
+        const readPlist = file => plist.parse(fs.readFileSync(file, 'utf8'));
+        const pluginURLType = { CFBundleURLName: 'facebook', CFBundleURLSchemes: ['fb1234'] };
+
+        beforeEach(() => {
+            const infoPlist = readPlist(infoPlistFile());
+            infoPlist.CFBundleURLTypes = [pluginURLType];
+            fs.writeFileSync(infoPlistFile(), plist.build(infoPlist));
+        });
+
+        it('should add the URL schemes and associated domains', () => {
+            updateLinks(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'links.xml')), p.locations);
+
+            expect(readPlist(infoPlistFile()).CFBundleURLTypes).toEqual([
+                pluginURLType,
+                { CFBundleURLName: 'org.apache.cordova.hellocordova.ios', CFBundleTypeRole: 'Editor', CFBundleURLSchemes: ['hellocordova'] },
+                { CFBundleURLName: 'org.apache.cordova.auth', CFBundleTypeRole: 'Viewer', CFBundleURLSchemes: ['hellocordova-auth'] }
+            ]);
+            ['Debug', 'Release'].forEach(configuration => {
+                expect(readPlist(entitlementsFile(configuration))['com.apple.developer.associated-domains'])
+                    .toEqual(['applinks:example.com', 'webcredentials:example.com']);
+            });
+        });
+
+        it('should only remove the items that it added', () => {
+            const releaseEntitlements = readPlist(entitlementsFile('Release'));
+            releaseEntitlements['com.apple.developer.associated-domains'] = ['applinks:plugin.example.com'];
+            fs.writeFileSync(entitlementsFile('Release'), plist.build(releaseEntitlements));
+
+            updateLinks(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'links.xml')), p.locations);
+            updateLinks(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'links.xml')), p.locations);
+            updateLinks(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'no-privacy-manifest.xml')), p.locations);
+
+            expect(readPlist(infoPlistFile()).CFBundleURLTypes).toEqual([pluginURLType]);
+            expect(readPlist(entitlementsFile('Debug'))['com.apple.developer.associated-domains']).toBeUndefined();
+            expect(readPlist(entitlementsFile('Release'))['com.apple.developer.associated-domains']).toEqual(['applinks:plugin.example.com']);
+        });
+
+        it('should remove the added items when cleaning', () => {
+            updateLinks(new PlatformConfigParser(path.join(FIXTURES, 'prepare', 'links.xml')), p.locations);
+            cleanManagedPlistKeys(p.locations);
+
+            expect(readPlist(infoPlistFile()).CFBundleURLTypes).toEqual([pluginURLType]);
+            expect(readPlist(entitlementsFile('Debug'))['com.apple.developer.associated-domains']).toBeUndefined();
+        });
+    });
+
+    describe('getCFBundleVersion method', () => {
+        const getCFBundleVersion = prepare.__get__('getCFBundleVersion');
+
+        function fakeConfig (strategy, bundleVersion = null) {
+            return {
+                getAttribute: name => name === 'ios-CFBundleVersion' ? bundleVersion : null,
+                getPreference: name => name === 'BuildNumberStrategy' ? strategy : null
+            };
+        }
+
+        it('should default to the version without its pre-release label', () => {
+            expect(getCFBundleVersion(fakeConfig(null), p.locations, '1.2.3-rc.1')).toEqual('1.2.3');
+        });
+
+        it('should prefer ios-CFBundleVersion over the strategy', () => {
+            expect(getCFBundleVersion(fakeConfig('timestamp', '77'), p.locations, '1.0.0')).toEqual('77');
+        });
+
+        it('should use a timestamp', () => {
+            expect(getCFBundleVersion(fakeConfig('timestamp'), p.locations, '1.0.0')).toMatch(/^\d{14}$/);
+        });
+
+        it('should use the git commit count', () => {
+            const execaSync = jasmine.createSpy('sync').and.returnValue({ stdout: '421\n' });
+            const revert = prepare.__set__('execa', { sync: execaSync });
+
+            try {
+                expect(getCFBundleVersion(fakeConfig('git'), p.locations, '1.0.0')).toEqual('421');
+                expect(execaSync).toHaveBeenCalledWith('git', ['rev-list', '--count', 'HEAD'], { cwd: p.locations.root });
+            } finally {
+                revert();
+            }
+        });
+
+        it('should use an environment variable', () => {
+            process.env.CDV_TEST_BUILD_NUMBER = '1234';
+
+            try {
+                expect(getCFBundleVersion(fakeConfig('env:CDV_TEST_BUILD_NUMBER'), p.locations, '1.0.0')).toEqual('1234');
+            } finally {
+                delete process.env.CDV_TEST_BUILD_NUMBER;
+            }
+        });
+
+        it('should reject a missing environment variable', () => {
+            expect(() => getCFBundleVersion(fakeConfig('env:CDV_TEST_MISSING'), p.locations, '1.0.0'))
+                .toThrowError(/"CDV_TEST_MISSING" used by BuildNumberStrategy is not set/);
+        });
+
+        it('should increment a counter stored in the platform for release and device builds', () => {
+            expect(getCFBundleVersion(fakeConfig('increment'), p.locations, '1.0.0')).toEqual('1');
+            expect(getCFBundleVersion(fakeConfig('increment'), p.locations, '1.0.0', { release: true })).toEqual('2');
+            expect(getCFBundleVersion(fakeConfig('increment'), p.locations, '1.0.0', { device: true })).toEqual('3');
+            expect(JSON.parse(fs.readFileSync(path.join(p.locations.root, 'cordova', 'build-number.json'), 'utf8')))
+                .toEqual({ buildNumber: 3 });
+        });
+
+        it('should keep the last build number for debug simulator builds', () => {
+            expect(getCFBundleVersion(fakeConfig('increment'), p.locations, '1.0.0', { release: true })).toEqual('1');
+            expect(getCFBundleVersion(fakeConfig('increment'), p.locations, '1.0.0', { emulator: true })).toEqual('1');
+            expect(getCFBundleVersion(fakeConfig('increment'), p.locations, '1.0.0')).toEqual('1');
+        });
+
+        it('should fall back to the version for an unknown strategy', () => {
+            expect(getCFBundleVersion(fakeConfig('random'), p.locations, '1.0.0')).toEqual('1.0.0');
+        });
+    });
+
     describe('<resource-file> tests', () => {
         // image-8888.png target attribute is missing in config.xml as a test
         const images = [
@@ -0,0 +1,213 @@
+/*
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+        http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const plist = require('plist');
+const rewire = require('rewire');
+const tmp = require('tmp');
+const { CordovaError } = require('cordova-common');
+const provisioningProfile = rewire('../../lib/provisioningProfile');
+
+tmp.setGracefulCleanup();
+
+describe('provisioningProfile', () => {
+    const certificate = Buffer.from('fake DER certificate');
+    const fingerprint = crypto.createHash('sha1').update(certificate).digest('hex').toUpperCase();
+    let profilesDir;
+
+    function writeProfile (fileName, overrides = {}) {
+        const data = Object.assign({
+            UUID: '0f1e2d3c-uuid',
+            Name: 'Friendstring App Store',
+            TeamIdentifier: ['A1B2C3'],
+            ApplicationIdentifierPrefix: ['A1B2C3'],
+            ExpirationDate: new Date('2099-01-01T00:00:00Z'),
+            DeveloperCertificates: [certificate],
+            Entitlements: {
+                'application-identifier': 'A1B2C3.com.example.friendstring',
+                'aps-environment': 'production'
+            }
+        }, overrides);
+
+        // Wrap the plist in some binary data, like the CMS envelope does
+        const contents = Buffer.concat([
+            Buffer.from([0x30, 0x82, 0x1f, 0x00]),
+            Buffer.from(plist.build(data), 'utf-8'),
+            Buffer.from([0x00, 0xa0, 0x82])
+        ]);
+        const filePath = path.join(profilesDir, fileName);
+        fs.writeFileSync(filePath, contents);
+        return filePath;
+    }
+
+    beforeEach(() => {
+        profilesDir = tmp.dirSync({ unsafeCleanup: true }).name;
+    });
+
+    describe('parse method', () => {
+        it('should extract the profile from the signed file', () => {
+            const filePath = writeProfile('app.mobileprovision');
+
+            expect(provisioningProfile.parse(filePath)).toEqual({
+                path: filePath,
+                uuid: '0f1e2d3c-uuid',
+                name: 'Friendstring App Store',
+                teamIdentifiers: ['A1B2C3'],
+                applicationIdentifier: 'A1B2C3.com.example.friendstring',
+                applicationIdentifierPrefixes: ['A1B2C3'],
+                expirationDate: new Date('2099-01-01T00:00:00Z'),
+                entitlements: {
+                    'application-identifier': 'A1B2C3.com.example.friendstring',
+                    'aps-environment': 'production'
+                },
+                certificateFingerprints: [fingerprint]
+            });
+        });
+
+        it('should reject files without an embedded plist', () => {
+            const filePath = path.join(profilesDir, 'broken.mobileprovision');
+            fs.writeFileSync(filePath, 'not a profile');
+
+            expect(() => provisioningProfile.parse(filePath)).toThrowError(CordovaError, `${filePath} is not a valid provisioning profile.`);
+        });
+    });
+
+    describe('findProfile method', () => {
+        it('should find a profile by UUID or name in a folder or by explicit path', () => {
+            const filePath = writeProfile('app.mobileprovision');
+            writeProfile('other.mobileprovision', { UUID: 'other-uuid', Name: 'Other' });
+            fs.writeFileSync(path.join(profilesDir, 'broken.mobileprovision'), 'not a profile');
+
+            expect(provisioningProfile.findProfile('0f1e2d3c-uuid', [profilesDir]).path).toEqual(filePath);
+            expect(provisioningProfile.findProfile('Other', [profilesDir]).uuid).toEqual('other-uuid');
+            expect(provisioningProfile.findProfile('Friendstring App Store', [filePath]).path).toEqual(filePath);
+            expect(provisioningProfile.findProfile('missing', [profilesDir])).toBeNull();
+        });
+    });
+
+    describe('validate method', () => {
+        let profile;
+
+        beforeEach(() => {
+            profile = provisioningProfile.parse(writeProfile('app.mobileprovision'));
+        });
+
+        it('should accept a profile that matches the app', () => {
+            expect(provisioningProfile.validate(profile, {
+                bundleIdentifier: 'com.example.friendstring',
+                developmentTeam: 'A1B2C3',
+                entitlements: { 'aps-environment': 'development' },
+                certificateFingerprints: [fingerprint.toLowerCase()]
+            })).toEqual([]);
+        });
+
+        it('should not require the entitlements that a profile does not grant', () => {
+            expect(provisioningProfile.validate(profile, {
+                bundleIdentifier: 'com.example.friendstring',
+                entitlements: {
+                    'com.apple.security.app-sandbox': true,
+                    'com.apple.security.network.client': true
+                }
+            })).toEqual([]);
+        });
+
+        it('should accept wildcard application identifiers', () => {
+            profile.applicationIdentifier = 'A1B2C3.com.example.*';
+
+            expect(provisioningProfile.validate(profile, { bundleIdentifier: 'com.example.friendstring' })).toEqual([]);
+            expect(provisioningProfile.validate(profile, { bundleIdentifier: 'org.example.friendstring' }).length).toEqual(1);
+        });
+
+        it('should report every mismatch', () => {
+            expect(provisioningProfile.validate(profile, {
+                bundleIdentifier: 'com.example.other',
+                developmentTeam: 'Z9Y8X7',
+                entitlements: { 'com.apple.developer.associated-domains': ['applinks:example.com'] },
+                certificateFingerprints: ['0000000000000000000000000000000000000000'],
+                now: new Date('2100-01-01T00:00:00Z')
+            })).toEqual([
+                'its application identifier "A1B2C3.com.example.friendstring" does not match the bundle identifier "com.example.other"',
+                'it belongs to team A1B2C3, not to the development team Z9Y8X7',
+                'it expired on 2099-01-01T00:00:00.000Z',
+                'it does not include the "com.apple.developer.associated-domains" entitlement',
+                'it does not include the signing certificate'
+            ]);
+        });
+    });
+
+    describe('getSigningCertificateFingerprints method', () => {
+        it('should return the installed identities that match the name', () => {
+            const stdout = [
+                `  1) ${fingerprint} "Apple Distribution: Example (A1B2C3)"`,
+                '  2) 1111111111111111111111111111111111111111 "Apple Development: Someone (Z9Y8X7)"',
+                '     2 valid identities found'
+            ].join('\n');
+            const execa = { sync: jasmine.createSpy('sync').and.returnValue({ stdout }) };
+
+            return provisioningProfile.__with__({ execa })(() => {
+                expect(provisioningProfile.getSigningCertificateFingerprints('Apple Distribution')).toEqual([fingerprint]);
+                expect(execa.sync).toHaveBeenCalledWith('security', ['find-identity', '-v', '-p', 'codesigning']);
+            });
+        });
+
+        it('should match the current certificates by their legacy name', () => {
+            const stdout = [
+                `  1) ${fingerprint} "Apple Distribution: Example (A1B2C3)"`,
+                '  2) 1111111111111111111111111111111111111111 "Apple Development: Someone (Z9Y8X7)"',
+                '     2 valid identities found'
+            ].join('\n');
+            const execa = { sync: () => ({ stdout }) };
+
+            return provisioningProfile.__with__({ execa })(() => {
+                expect(provisioningProfile.getSigningCertificateFingerprints('iPhone Distribution')).toEqual([fingerprint]);
+                expect(provisioningProfile.getSigningCertificateFingerprints('iPhone Developer')).toEqual(['1111111111111111111111111111111111111111']);
+            });
+        });
+
+        it('should return null when the keychain can not be queried', () => {
+            const execa = { sync: () => { throw new Error('security: command not found'); } };
+
+            return provisioningProfile.__with__({ execa })(() => {
+                expect(provisioningProfile.getSigningCertificateFingerprints('Apple Distribution')).toBeNull();
+            });
+        });
+    });
+
+    describe('check method', () => {
+        it('should explain why a profile can not be used', () => {
+            const filePath = writeProfile('app.mobileprovision');
+
+            expect(() => provisioningProfile.check(
+                { provisioningProfile: '0f1e2d3c-uuid', provisioningProfilePath: profilesDir, developmentTeam: 'Z9Y8X7' },
+                { bundleIdentifier: 'com.example.friendstring' }
+            )).toThrowError(CordovaError,
+                `Provisioning profile "Friendstring App Store" (${filePath}) can't be used to sign com.example.friendstring:\n` +
+                '\t- it belongs to team A1B2C3, not to the development team Z9Y8X7');
+        });
+
+        it('should fail when a profile is not found', () => {
+            expect(() => provisioningProfile.check(
+                { provisioningProfile: { 'com.example.friendstring': 'missing' }, provisioningProfilePath: [profilesDir] },
+                { bundleIdentifier: 'com.example.friendstring' }
+            )).toThrowError(CordovaError, `Provisioning profile "missing" was not found in:\n\t${profilesDir}`);
+        });
+    });
+});
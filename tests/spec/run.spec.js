@@ -17,13 +17,22 @@
     under the License.
 */
 
+const fs = require('node:fs');
 const path = require('node:path');
+const { Readable } = require('node:stream');
+const { styleText } = require('node:util');
+const plist = require('plist');
+const rewire = require('rewire');
+const simctl = require('simctl');
+const tmp = require('tmp');
 const { CordovaError, events } = require('cordova-common');
 const build = require('../../lib/build');
 const check_reqs = require('../../lib/check_reqs');
-const run = require('../../lib/run');
+const run = rewire('../../lib/run');
 const projectFile = require('../../lib/projectFile');
 
+tmp.setGracefulCleanup();
+
 describe('cordova/lib/run', () => {
     const testProjectPath = path.join('/test', 'project', 'path');
 
@@ -149,10 +158,267 @@ describe('cordova/lib/run', () => {
             });
         });
 
+        it('should pass --createSimulator, --launchArg and --launchEnv on to the simulator deployment', () => {
+            const argv = ['--createSimulator', '--launchArg', '-FeatureX', '--launchArg=YES', '--launchEnv', 'API_URL=https://test.example.com/?a=b'];
+
+            return run.run({ emulator: true, target: 'iPhone-15', argv }).then(() => {
+                expect(run.deployToSim).toHaveBeenCalledWith(
+                    path.join(testProjectPath, 'build', 'Debug-iphonesimulator', 'ProjectName.app'),
+                    'iPhone-15',
+                    {
+                        createSimulator: true,
+                        watchLogs: false,
+                        launchArgs: ['-FeatureX', 'YES'],
+                        launchEnv: { API_URL: 'https://test.example.com/?a=b' }
+                    }
+                );
+            });
+        });
+
+        it('should reject invalid --launchEnv values', () => {
+            return expectAsync(run.run({ emulator: true, launchEnv: ['NO_VALUE'] }))
+                .toBeRejectedWithError(CordovaError, 'Invalid --launchEnv "NO_VALUE", expected KEY=VALUE.');
+        });
+
+        it('should resolve with the launched app', () => {
+            const launchedApp = { deviceId: 'UDID', appIdentifier: 'org.apache.cordova.app', pid: 4242, logPath: '/path/console.log' };
+            run.deployToSim.and.resolveTo(launchedApp);
+
+            return run.run({ emulator: true }).then(result => {
+                expect(result).toEqual(launchedApp);
+            });
+        });
+
+        it('should resolve with the build plan without deploying on a dry run', () => {
+            const plan = { configuration: 'Debug', platform: 'iphonesimulator' };
+            build.run.and.resolveTo(plan);
+
+            return run.run({ emulator: true, dryRun: true }).then(result => {
+                expect(result).toEqual(plan);
+                expect(run.deployToSim).not.toHaveBeenCalled();
+            });
+        });
+
+        it('should run the app of the build profile configuration without building', () => {
+            const buildConfig = tmp.fileSync({ postfix: '.json' }).name;
+            fs.writeFileSync(buildConfig, JSON.stringify({ ios: { qa: { configuration: 'QA' } } }));
+            spyOn(events, 'emit');
+
+            return run.run({ emulator: true, nobuild: true, buildConfig, buildProfile: 'qa' }).then(() => {
+                expect(build.run).not.toHaveBeenCalled();
+                expect(run.deployToSim).toHaveBeenCalledWith(
+                    path.join(testProjectPath, 'build', 'QA-iphonesimulator', 'ProjectName.app'),
+                    undefined,
+                    jasmine.any(Object)
+                );
+            });
+        });
+
+        it('should pass the extra arguments on to the device deployment without building', () => {
+            const execa = jasmine.createSpy('execa').and.resolveTo();
+            run.checkDeviceConnected.and.resolveTo();
+            spyOn(run, 'deployToDevice').and.resolveTo();
+            spyOn(fs, 'rmSync');
+            spyOn(fs, 'renameSync');
+
+            return run.__with__({ execa })(() => {
+                return run.run({ device: true, nobuild: true, argv: ['node', 'run.js', '--nobuild', '--faster'] }).then(() => {
+                    expect(build.run).not.toHaveBeenCalled();
+                    expect(run.deployToDevice).toHaveBeenCalledWith(
+                        path.join(testProjectPath, 'build', 'Debug-iphoneos', 'ProjectName.app'),
+                        undefined,
+                        ['--faster'],
+                        { launchArgs: [], launchEnv: {} }
+                    );
+                });
+            });
+        });
+
         it('should try to launch the macOS Catalyst app bundle', () => {
             return run.run({ device: true, target: 'mac', release: true }).then(() => {
                 expect(run.deployToMac).toHaveBeenCalledWith(path.join(testProjectPath, 'build', 'Release-maccatalyst', 'ProjectName.app'));
             });
         });
     });
+
+    describe('filterSupportedArgs method', () => {
+        it('should remove the run arguments and their values', () => {
+            expect(run.filterSupportedArgs(['--target=iPhone', '--launchArg', '-FeatureX', '--launchEnv=A=1', '--faster']))
+                .toEqual(['--faster']);
+        });
+    });
+
+    describe('deployToDevice method', () => {
+        it('should pass the launch arguments and environment to ios-deploy', () => {
+            const execa = jasmine.createSpy('execa').and.resolveTo();
+            spyOn(events, 'emit');
+
+            return run.__with__({ execa })(() => {
+                return run.deployToDevice('/path/App.app', 'UDID', ['--faster'], {
+                    launchArgs: ['-FeatureX', 'YES'],
+                    launchEnv: { A: '1', B: 'two' }
+                }).then(() => {
+                    expect(execa).toHaveBeenCalledWith('ios-deploy', [
+                        '--justlaunch', '-d', '-b', '/path/App.app', '-i', 'UDID',
+                        '--args', '-FeatureX YES', '--envs', 'A=1 B=two', '--faster'
+                    ], { stdio: 'inherit' });
+                });
+            });
+        });
+
+        it('should reject launch arguments and environment values that ios-deploy would split', () => {
+            const execa = jasmine.createSpy('execa').and.resolveTo();
+
+            return run.__with__({ execa })(() => {
+                return expectAsync(run.deployToDevice('/path/App.app', 'UDID', [], { launchArgs: ['hello world'] }))
+                    .toBeRejectedWithError(CordovaError, 'Launch arguments and environment values with whitespace are not supported on devices: "hello world"')
+                    .then(() => expectAsync(run.deployToDevice('/path/App.app', 'UDID', [], { launchEnv: { A: 'x y' } }))
+                        .toBeRejectedWithError(CordovaError, /"x y"/))
+                    .then(() => {
+                        expect(execa).not.toHaveBeenCalled();
+                    });
+            });
+        });
+    });
+
+    describe('watchLogs method', () => {
+        const device = { id: 'UDID', name: 'iPhone X' };
+
+        function fakeLogStream (lines) {
+            const stdout = Readable.from(lines.map(line => `${line}\n`));
+            const result = new Promise(resolve => stdout.on('end', resolve));
+            return Object.assign(result, { stdout, kill: jasmine.createSpy('kill') });
+        }
+
+        beforeEach(() => {
+            spyOn(events, 'emit');
+        });
+
+        it('should emit every line of the app logs', () => {
+            const streamLogs = jasmine.createSpy('streamLogs').and.returnValue(fakeLogStream([
+                'Filtering the log data using "process == "App""',
+                '2024-05-01 12:00:00.123 Df App[1234:5678] Apache Cordova native platform version 8.0.0 is starting.',
+                '2024-05-01 12:00:01.456 Df App[1234:5678] WARN: deprecated API'
+            ]));
+
+            return run.__with__({ streamLogs })(() => {
+                return run.watchLogs(device, 'App').then(() => {
+                    expect(streamLogs).toHaveBeenCalledWith(device, 'App');
+                    expect(events.emit).toHaveBeenCalledWith('verbose', 'Filtering the log data using "process == "App""');
+                    expect(events.emit).toHaveBeenCalledWith('log', '2024-05-01 12:00:00.123 Df App[1234:5678] Apache Cordova native platform version 8.0.0 is starting.');
+                    expect(events.emit).toHaveBeenCalledWith('log', jasmine.stringMatching(/\] WARN: deprecated API/));
+                });
+            });
+        });
+
+        it('should highlight the CDVLogger levels on a terminal', () => {
+            const emitLogLine = run.__get__('emitLogLine');
+            const line = '2024-05-01 12:00:01.456 Df App[1234:5678] ERROR: failed';
+
+            return run.__with__({ process: { stdout: { isTTY: true }, env: {} } })(() => {
+                emitLogLine(line);
+                expect(events.emit).toHaveBeenCalledWith('log', styleText('red', line));
+            });
+        });
+    });
+
+    describe('deployToSim method', () => {
+        const appPath = path.join(testProjectPath, 'build', 'Debug-iphonesimulator', 'ProjectName.app');
+
+        beforeEach(() => {
+            const json = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'simctl-list.json'), 'utf-8'));
+            spyOn(simctl, 'list').and.returnValue({ json });
+            spyOn(run, 'startSim').and.resolveTo();
+            spyOn(run, 'execListEmulatorImages').and.resolveTo(['iPhone-X, 12.1']);
+            spyOn(events, 'emit');
+        });
+
+        it('should prefer a booted simulator when no target is given', () => {
+            return run.deployToSim(appPath).then(() => {
+                expect(run.startSim).toHaveBeenCalledWith(appPath, '595A086C-DA30-4B75-806E-3D8253ED6A56', {});
+                expect(run.execListEmulatorImages).not.toHaveBeenCalled();
+            });
+        });
+
+        it('should pick a device type for a new simulator', () => {
+            return run.deployToSim(appPath, undefined, { createSimulator: true }).then(() => {
+                expect(run.startSim).toHaveBeenCalledWith(appPath, 'iPhone-X, 12.1', { createSimulator: true });
+            });
+        });
+
+        it('should pass the target on', () => {
+            return run.deployToSim(appPath, 'iPhone 6').then(() => {
+                expect(run.startSim).toHaveBeenCalledWith(appPath, 'iPhone 6', {});
+            });
+        });
+    });
+
+    describe('startSim method', () => {
+        const device = { id: 'BAC3ADB2-66B2-41C0-AF0D-8D4D58E2E88A', name: 'iPhone X' };
+        let projectPath;
+        let appPath;
+
+        beforeEach(() => {
+            projectPath = tmp.dirSync({ unsafeCleanup: true }).name;
+            appPath = path.join(projectPath, 'build', 'Debug-iphonesimulator', 'App.app');
+            fs.mkdirSync(appPath, { recursive: true });
+            fs.writeFileSync(path.join(appPath, 'Info.plist'), plist.build({
+                CFBundleIdentifier: 'org.apache.cordova.app',
+                CFBundleExecutable: 'App'
+            }));
+            spyOn(events, 'emit');
+        });
+
+        it('should resolve with the launched app', () => {
+            const getDevice = jasmine.createSpy('getDevice').and.returnValue(device);
+            const startSimulator = jasmine.createSpy('startSimulator').and.returnValue({ pid: 4242 });
+            const logPath = path.join(projectPath, 'cordova', 'console.log');
+
+            return run.__with__({ getDevice, startSimulator })(() => {
+                return run.startSim(appPath, 'iPhone X', { launchArgs: ['-FeatureX'] }).then(result => {
+                    expect(getDevice).toHaveBeenCalledWith('iPhone X', { launchArgs: ['-FeatureX'] });
+                    expect(startSimulator).toHaveBeenCalledWith(device, {
+                        appPath,
+                        appIdentifier: 'org.apache.cordova.app',
+                        logPath,
+                        waitForDebugger: false,
+                        launchArgs: ['-FeatureX'],
+                        launchEnv: undefined
+                    });
+                    expect(result).toEqual({
+                        deviceId: 'BAC3ADB2-66B2-41C0-AF0D-8D4D58E2E88A',
+                        appIdentifier: 'org.apache.cordova.app',
+                        pid: 4242,
+                        logPath
+                    });
+                });
+            });
+        });
+
+        it('should reject when the app can not be launched', () => {
+            const getDevice = () => device;
+            const startSimulator = () => { throw new Error('launch failed'); };
+
+            return run.__with__({ getDevice, startSimulator })(() => {
+                return expectAsync(run.startSim(appPath, 'iPhone X'))
+                    .toBeRejectedWithError(CordovaError, 'Failed to start simulator with error: "launch failed"');
+            });
+        });
+
+        it('should reject when no simulator is found', () => {
+            const getDevice = () => { throw new Error('no device'); };
+
+            return run.__with__({ getDevice })(() => {
+                return expectAsync(run.startSim(appPath, 'iPhone 42'))
+                    .toBeRejectedWithError(CordovaError, 'Failed to find a simulator for "iPhone 42": no device');
+            });
+        });
+
+        it('should reject when the app has no Info.plist', () => {
+            fs.rmSync(path.join(appPath, 'Info.plist'));
+
+            return expectAsync(run.startSim(appPath, 'iPhone X'))
+                .toBeRejectedWithError(CordovaError, `Failed to launch simulator: ${path.join(appPath, 'Info.plist')} file not found.`);
+        });
+    });
 });
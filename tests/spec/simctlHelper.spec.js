@@ -19,6 +19,7 @@
 
 const fs = require('node:fs');
 const path = require('node:path');
+const execa = require('execa');
 const simctl = require('simctl');
 const { events } = require('cordova-common');
 const simctlHelper = require('../../lib/simctlHelper');
@@ -481,6 +482,178 @@ describe('simctlHelper', () => {
         });
     });
 
+    describe('startSimulator', () => {
+        beforeEach(() => {
+            spyOn(simctl.extensions, 'start');
+            spyOn(simctl, 'install');
+            spyOn(execa, 'sync').and.returnValue({ stdout: 'com.example.app: 4242' });
+        });
+
+        it('should launch the app with the launch arguments and SIMCTL_CHILD_ environment', () => {
+            const result = simctlHelper.startSimulator({ id: 'UDID', name: 'iPhone X' }, {
+                appPath: '/path/App.app',
+                appIdentifier: 'com.example.app',
+                logPath: '/path/console.log',
+                launchArgs: ['-FeatureX', 'YES'],
+                launchEnv: { API_URL: 'https://test.example.com' }
+            });
+
+            expect(simctl.install).toHaveBeenCalledWith('UDID', '/path/App.app');
+            expect(execa.sync).toHaveBeenCalledWith('xcrun', [
+                'simctl', 'launch', '--stdout=/path/console.log', '--stderr=/path/console.log',
+                'UDID', 'com.example.app', '-FeatureX', 'YES'
+            ], { env: { SIMCTL_CHILD_API_URL: 'https://test.example.com' } });
+            expect(result).toEqual({ pid: 4242 });
+        });
+    });
+
+    describe('simulator commands', () => {
+        const device = { id: 'UDID', name: 'iPhone X' };
+
+        it('should take a screenshot in the format of the file extension', () => {
+            spyOn(execa, 'sync');
+
+            simctlHelper.takeScreenshot(device, '/path/screen.JPG');
+            expect(execa.sync).toHaveBeenCalledWith('xcrun', ['simctl', 'io', 'UDID', 'screenshot', '--type=jpeg', '/path/screen.JPG'], undefined);
+        });
+
+        it('should pass the push notification payload on stdin', () => {
+            spyOn(execa, 'sync');
+
+            simctlHelper.pushNotification(device, 'com.example.app', { aps: { alert: 'Hello' } });
+            expect(execa.sync).toHaveBeenCalledWith('xcrun', ['simctl', 'push', 'UDID', 'com.example.app', '-'], {
+                input: '{"aps":{"alert":"Hello"}}'
+            });
+        });
+
+        it('should ignore simulators that are already shut down', () => {
+            spyOn(execa, 'sync').and.throwError(Object.assign(new Error('Command failed'), {
+                stderr: 'An error was encountered processing the command (domain=com.apple.CoreSimulator.SimError, code=405):\nUnable to shutdown device in current state: Shutdown'
+            }));
+
+            expect(() => simctlHelper.shutdownDevice(device)).not.toThrow();
+        });
+
+        it('should report the simctl error', () => {
+            spyOn(execa, 'sync').and.throwError(Object.assign(new Error('Command failed'), {
+                stderr: 'Invalid device: UDID\n'
+            }));
+
+            expect(() => simctlHelper.eraseDevice(device)).toThrowError('Could not shut down "iPhone X": Invalid device: UDID');
+        });
+    });
+
+    describe('findDevice', () => {
+        beforeEach(() => {
+            json = fixtureJson('simctl-list.json');
+        });
+
+        it('should find a device by UDID', () => {
+            expect(simctlHelper.findDevice(json, 'dc3c3e48-d66f-40c5-87ae-b92432a77ddd')).toEqual({
+                id: 'DC3C3E48-D66F-40C5-87AE-B92432A77DDD',
+                name: 'iPhone X',
+                runtime: 'iOS 11.4'
+            });
+        });
+
+        it('should find a device by name, preferring the most modern runtime', () => {
+            expect(simctlHelper.findDevice(json, 'iPhone X').id).toEqual('BAC3ADB2-66B2-41C0-AF0D-8D4D58E2E88A');
+        });
+
+        it('should prefer a booted device', () => {
+            expect(simctlHelper.findDevice(json, 'iphone 6')).toEqual({
+                id: '595A086C-DA30-4B75-806E-3D8253ED6A56',
+                name: 'iPhone 6',
+                runtime: 'iOS 9.3'
+            });
+        });
+
+        it('should skip devices of unavailable runtimes', () => {
+            expect(simctlHelper.findDevice(json, 'EFCBBBD8-1D2D-4429-B7F9-CB7AE39AA596')).toBeNull();
+            expect(simctlHelper.findDevice(json, 'iPhone-X, 12.1')).toBeNull();
+        });
+    });
+
+    describe('findBootedDevice', () => {
+        beforeEach(() => {
+            json = fixtureJson('simctl-list.json');
+            spyOn(simctl, 'list').and.callFake(() => ({ json }));
+        });
+
+        it('should find a booted iOS simulator', () => {
+            expect(simctlHelper.findBootedDevice().id).toEqual('595A086C-DA30-4B75-806E-3D8253ED6A56');
+        });
+    });
+
+    describe('createDevice', () => {
+        beforeEach(() => {
+            json = fixtureJson('simctl-list.json');
+            spyOn(simctl, 'list').and.callFake(() => ({ json }));
+        });
+
+        it('should create a device of the device type and runtime', () => {
+            spyOn(simctl, 'create').and.returnValue({ status: 0, stdout: 'F00D0000-0000-0000-0000-000000000000\n' });
+
+            expect(simctlHelper.createDevice('iPhone-X, 12.1')).toEqual({
+                id: 'F00D0000-0000-0000-0000-000000000000',
+                name: 'iPhone X (Cordova)',
+                runtime: 'iOS 12.1'
+            });
+            expect(simctl.create).toHaveBeenCalledWith('iPhone X (Cordova)', 'com.apple.CoreSimulator.SimDeviceType.iPhone-X', 'com.apple.CoreSimulator.SimRuntime.iOS-12-1');
+        });
+
+        it('should erase and reuse the device that a previous run created', () => {
+            json.devices['iOS 12.1'].push({
+                state: 'Booted',
+                isAvailable: true,
+                name: 'iPhone X (Cordova)',
+                udid: 'C0DE0000-0000-0000-0000-000000000000'
+            });
+            spyOn(simctl, 'create');
+            spyOn(execa, 'sync');
+
+            expect(simctlHelper.createDevice('iPhone-X, 12.1')).toEqual({
+                id: 'C0DE0000-0000-0000-0000-000000000000',
+                name: 'iPhone X (Cordova)',
+                runtime: 'iOS 12.1'
+            });
+            expect(simctl.create).not.toHaveBeenCalled();
+            expect(execa.sync).toHaveBeenCalledWith('xcrun', ['simctl', 'shutdown', 'C0DE0000-0000-0000-0000-000000000000'], undefined);
+            expect(execa.sync).toHaveBeenCalledWith('xcrun', ['simctl', 'erase', 'C0DE0000-0000-0000-0000-000000000000'], undefined);
+        });
+
+        it('should fail when simctl fails', () => {
+            spyOn(simctl, 'create').and.returnValue({ status: 1, stdout: '', stderr: 'Invalid runtime\n' });
+
+            expect(() => simctlHelper.createDevice('iPhone-X'))
+                .toThrowError('Could not create a "iPhone X" simulator: Invalid runtime');
+        });
+
+        it('should fail for an unavailable runtime', () => {
+            expect(() => simctlHelper.createDevice('iPhone-X, 12.0'))
+                .toThrowError('Runtime "iOS 12.0" could not be found, or is not available.');
+        });
+    });
+
+    describe('getDevice', () => {
+        beforeEach(() => {
+            json = fixtureJson('simctl-list.json');
+            spyOn(simctl, 'list').and.callFake(() => ({ json }));
+        });
+
+        it('should resolve a UDID, a device name or a device type', () => {
+            expect(simctlHelper.getDevice('DC3C3E48-D66F-40C5-87AE-B92432A77DDD').runtime).toEqual('iOS 11.4');
+            expect(simctlHelper.getDevice('iPhone 6').id).toEqual('595A086C-DA30-4B75-806E-3D8253ED6A56');
+            expect(simctlHelper.getDevice('iPhone-X, 11.4').id).toEqual('DC3C3E48-D66F-40C5-87AE-B92432A77DDD');
+        });
+
+        it('should create a new device with the createSimulator option', () => {
+            spyOn(simctl, 'create').and.returnValue({ status: 0, stdout: 'F00D0000-0000-0000-0000-000000000000\n' });
+
+            expect(simctlHelper.getDevice('iPhone-6', { createSimulator: true }).id).toEqual('F00D0000-0000-0000-0000-000000000000');
+        });
+    });
+
     describe('getDeviceFromDeviceTypeId (issue #262)', () => {
         beforeEach(() => {
             json = fixtureJson('simctl-list-issue-262.json');
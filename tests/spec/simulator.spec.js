@@ -0,0 +1,138 @@
+/*
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+        http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const path = require('node:path');
+const { PassThrough } = require('node:stream');
+const rewire = require('rewire');
+const { CordovaError, events } = require('cordova-common');
+const projectFile = require('../../lib/projectFile');
+const run = require('../../lib/run');
+const simctlHelper = require('../../lib/simctlHelper');
+const simulator = rewire('../../lib/simulator');
+
+describe('cordova/lib/simulator', () => {
+    const device = { name: 'iPhone 6', id: '595A086C-DA30-4B75-806E-3D8253ED6A56', runtime: 'iOS 9.3' };
+
+    beforeEach(() => {
+        spyOn(run, 'resolveSimulatorTarget').and.callFake(target => Promise.resolve(target || device.id));
+        spyOn(simctlHelper, 'getDevice').and.returnValue(device);
+        spyOn(events, 'emit');
+    });
+
+    describe('boot method', () => {
+        it('should boot the simulator resolved from the target', () => {
+            spyOn(simctlHelper, 'bootDevice');
+
+            return simulator.boot().then(result => {
+                expect(run.resolveSimulatorTarget).toHaveBeenCalledWith(undefined);
+                expect(simctlHelper.getDevice).toHaveBeenCalledWith(device.id);
+                expect(simctlHelper.bootDevice).toHaveBeenCalledWith(device);
+                expect(result).toEqual(device);
+            });
+        });
+
+        it('should reject when no simulator is found', () => {
+            simctlHelper.getDevice.and.throwError('no device');
+
+            return expectAsync(simulator.boot('iPhone 42'))
+                .toBeRejectedWithError(CordovaError, 'Failed to find a simulator for "iPhone 42": no device');
+        });
+    });
+
+    describe('erase method', () => {
+        it('should reject with the simctl error', () => {
+            spyOn(simctlHelper, 'eraseDevice').and.throwError('Could not erase "iPhone 6": Invalid device');
+
+            return expectAsync(simulator.erase('iPhone 6'))
+                .toBeRejectedWithError(CordovaError, 'Could not erase "iPhone 6": Invalid device');
+        });
+    });
+
+    describe('screenshot method', () => {
+        it('should resolve with the absolute path of the image', () => {
+            spyOn(simctlHelper, 'takeScreenshot');
+
+            return simulator.screenshot('iPhone 6', 'screen.png').then(filePath => {
+                expect(filePath).toEqual(path.resolve('screen.png'));
+                expect(simctlHelper.takeScreenshot).toHaveBeenCalledWith(device, path.resolve('screen.png'));
+            });
+        });
+    });
+
+    describe('recordVideo method', () => {
+        it('should resolve once the recording has started and save the video on stop', () => {
+            const stderr = new PassThrough();
+            let exit;
+            const child = Object.assign(new Promise(resolve => { exit = resolve; }), {
+                stderr,
+                kill: jasmine.createSpy('kill').and.callFake(() => exit())
+            });
+            spyOn(simctlHelper, 'recordVideo').and.returnValue(child);
+            stderr.write('Recording started\n');
+
+            return simulator.recordVideo('iPhone 6', 'video.mp4').then(recording => {
+                expect(recording.deviceId).toEqual(device.id);
+                expect(recording.filePath).toEqual(path.resolve('video.mp4'));
+
+                return recording.stop();
+            }).then(filePath => {
+                expect(child.kill).toHaveBeenCalledWith('SIGINT');
+                expect(filePath).toEqual(path.resolve('video.mp4'));
+            });
+        });
+
+        it('should assume the recording started when simctl does not report it', () => {
+            const child = Object.assign(new Promise(() => {}), {
+                stderr: new PassThrough(),
+                kill: jasmine.createSpy('kill')
+            });
+            spyOn(simctlHelper, 'recordVideo').and.returnValue(child);
+
+            return simulator.__with__({ RECORDING_START_TIMEOUT: 10 })(() => {
+                return simulator.recordVideo('iPhone 6', 'video.mp4').then(recording => {
+                    expect(recording.filePath).toEqual(path.resolve('video.mp4'));
+                });
+            });
+        });
+
+        it('should reject when the recording fails to start', () => {
+            const child = Object.assign(Promise.reject(Object.assign(new Error('Command failed'), { stderr: 'No devices are booted.\n' })), {
+                stderr: new PassThrough()
+            });
+            spyOn(simctlHelper, 'recordVideo').and.returnValue(child);
+
+            return expectAsync(simulator.recordVideo('iPhone 6', 'video.mp4'))
+                .toBeRejectedWithError(CordovaError, 'Could not record a video of "iPhone 6": No devices are booted.');
+        });
+    });
+
+    describe('push method', () => {
+        it('should send the notification to the app of the project', () => {
+            const payload = { aps: { alert: 'Hello' } };
+            const locations = { root: '/path/to/project' };
+            spyOn(projectFile, 'parse').and.returnValue({ getPackageName: () => 'org.apache.cordova.app' });
+            spyOn(simctlHelper, 'pushNotification');
+
+            return simulator.push.call({ locations }, 'iPhone 6', payload).then(() => {
+                expect(projectFile.parse).toHaveBeenCalledWith(locations);
+                expect(simctlHelper.pushNotification).toHaveBeenCalledWith(device, 'org.apache.cordova.app', payload);
+            });
+        });
+    });
+});
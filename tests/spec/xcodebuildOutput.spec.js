@@ -0,0 +1,171 @@
+/*
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+        http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const { PassThrough } = require('node:stream');
+const rewire = require('rewire');
+const { CordovaError, events } = require('cordova-common');
+const xcodebuildOutput = rewire('../../lib/xcodebuildOutput');
+
+/**
+ * Returns a fake execa child process that prints the given output and exits
+ * with the given code.
+ */
+function fakeExeca (output, exitCode = 0) {
+    return jasmine.createSpy('execa').and.callFake(() => {
+        const all = new PassThrough();
+        const child = new Promise((resolve, reject) => {
+            all.end(output, () => {
+                if (exitCode === 0) {
+                    resolve({ exitCode });
+                } else {
+                    reject(Object.assign(new Error('Command failed'), { exitCode }));
+                }
+            });
+        });
+        child.all = all;
+        return child;
+    });
+}
+
+describe('xcodebuildOutput', () => {
+    describe('parseLine', () => {
+        const { parseLine } = xcodebuildOutput;
+
+        it('should parse compiler errors', () => {
+            expect(parseLine('/src/App/AppDelegate.swift:12:5: error: cannot find \'foo\' in scope')).toEqual({
+                type: 'compiler',
+                severity: 'error',
+                file: '/src/App/AppDelegate.swift',
+                line: 12,
+                column: 5,
+                message: 'cannot find \'foo\' in scope'
+            });
+        });
+
+        it('should parse compiler warnings without a column', () => {
+            expect(parseLine('/src/Plugins/Foo.m:7: warning: unused variable \'bar\'')).toEqual({
+                type: 'compiler',
+                severity: 'warning',
+                file: '/src/Plugins/Foo.m',
+                line: 7,
+                column: null,
+                message: 'unused variable \'bar\''
+            });
+        });
+
+        it('should treat fatal errors as errors', () => {
+            expect(parseLine('/src/App/Bridging-Header.h:1:9: fatal error: \'Foo.h\' file not found').severity).toEqual('error');
+        });
+
+        it('should parse linker failures', () => {
+            expect(parseLine('ld: symbol(s) not found for architecture arm64')).toEqual(jasmine.objectContaining({
+                type: 'linker', severity: 'error', message: 'symbol(s) not found for architecture arm64'
+            }));
+            expect(parseLine('ld: warning: ignoring duplicate libraries: \'-lc++\'')).toEqual(jasmine.objectContaining({
+                type: 'linker', severity: 'warning'
+            }));
+            expect(parseLine('clang: error: linker command failed with exit code 1 (use -v to see invocation)')).toEqual(jasmine.objectContaining({
+                type: 'linker', severity: 'error'
+            }));
+            expect(parseLine('Undefined symbols for architecture arm64:')).toEqual(jasmine.objectContaining({
+                type: 'linker', message: 'Undefined symbols for architecture arm64'
+            }));
+        });
+
+        it('should parse code signing errors', () => {
+            expect(parseLine('error: Signing for "App" requires a development team. Select a development team in the Signing & Capabilities editor.')).toEqual(jasmine.objectContaining({
+                type: 'codesign', severity: 'error', file: null
+            }));
+            expect(parseLine('error: exportArchive: No profiles for \'com.example.app\' were found')).toEqual(jasmine.objectContaining({
+                type: 'codesign'
+            }));
+            expect(parseLine('Code Signing Error: No signing certificate "iOS Distribution" found')).toEqual(jasmine.objectContaining({
+                type: 'codesign', message: 'No signing certificate "iOS Distribution" found'
+            }));
+        });
+
+        it('should parse other xcodebuild errors', () => {
+            expect(parseLine('xcodebuild: error: The workspace named "App" does not contain a scheme named "Foo".')).toEqual(jasmine.objectContaining({
+                type: 'xcodebuild', severity: 'error'
+            }));
+        });
+
+        it('should ignore regular output', () => {
+            expect(parseLine('CompileSwift normal arm64 /src/App/AppDelegate.swift')).toBeNull();
+            expect(parseLine('** BUILD SUCCEEDED **')).toBeNull();
+        });
+    });
+
+    describe('run', () => {
+        const output = [
+            'CompileSwift normal arm64 /src/App/AppDelegate.swift',
+            '/src/App/AppDelegate.swift:12:5: error: cannot find \'foo\' in scope',
+            '/src/App/AppDelegate.swift:3:1: warning: unused import',
+            '/src/App/AppDelegate.swift:12:5: error: cannot find \'foo\' in scope',
+            '** BUILD FAILED **',
+            ''
+        ].join('\n');
+
+        let revert;
+
+        afterEach(() => {
+            revert();
+        });
+
+        it('should pass the output through unless structuredOutput is set', () => {
+            const execa = fakeExeca('');
+            revert = xcodebuildOutput.__set__('execa', execa);
+
+            return xcodebuildOutput.run(['build'], { cwd: '/project' }).then(() => {
+                expect(execa).toHaveBeenCalledWith('xcodebuild', ['build'], { cwd: '/project', stdio: 'inherit' });
+            });
+        });
+
+        it('should emit each diagnostic once and resolve with them', () => {
+            revert = xcodebuildOutput.__set__('execa', fakeExeca(output));
+            spyOn(events, 'emit');
+
+            return xcodebuildOutput.run(['build'], { cwd: '/project', structuredOutput: true }).then(diagnostics => {
+                expect(diagnostics.length).toEqual(2);
+                const emitted = events.emit.calls.allArgs().filter(args => args[0] === 'xcodebuild-diagnostic');
+                expect(emitted.map(args => args[1])).toEqual(diagnostics);
+                expect(events.emit).toHaveBeenCalledWith('verbose', '** BUILD FAILED **');
+            });
+        });
+
+        it('should reject with a summary when xcodebuild fails', () => {
+            revert = xcodebuildOutput.__set__('execa', fakeExeca(output, 65));
+            spyOn(events, 'emit');
+
+            return xcodebuildOutput.run(['build'], { cwd: '/project', structuredOutput: true }).then(
+                () => fail('Expected promise to be rejected'),
+                err => {
+                    expect(err).toEqual(jasmine.any(CordovaError));
+                    expect(err.message).toEqual(
+                        'xcodebuild failed with exit code 65 and 1 error(s):\n' +
+                        '\t/src/App/AppDelegate.swift:12:5: error: cannot find \'foo\' in scope'
+                    );
+                    expect(err.summary.errorCount).toEqual(1);
+                    expect(err.summary.warningCount).toEqual(1);
+                    expect(err.summary.diagnostics.length).toEqual(2);
+                }
+            );
+        });
+    });
+});